@@ -1,54 +1,83 @@
-
-const redis = require('redis');
+const EventEmitter = require('events');
 const { v1: uuidv1 } = require('uuid');
 
-class DelayedTasks {
+const scripts = require('./lib/scripts');
+const { createConnection } = require('./lib/connection');
+const { buildKeys, isReservedId } = require('./lib/keys');
+const { MemoryStore } = require('./lib/memory');
+const { parseSchedule, nextRun } = require('./lib/schedule');
+const { MetricsCollector } = require('./lib/metrics');
+const { DelayedTasksManager } = require('./lib/manager');
+const serializers = require('./lib/serializers');
+
+class DelayedTasks extends EventEmitter {
 
   constructor(settings) {
+    super();
 
     if (typeof settings !== 'object') {
       throw new TypeError('No constructor settings specified');
     }
 
-    // Check ID
-    if (typeof settings.id === 'string') {
-      this.id = settings.id;
-    } else {
+    // Check ID. An ID that ends in the last part of a queue's other keys is
+    // refused, since its keys would overlap another queue's.
+    if (typeof settings.id !== 'string') {
       throw new TypeError('Invalid queue ID specified');
+    } else if (isReservedId(settings.id)) {
+      throw new TypeError('Invalid queue ID specified: it can\'t end in `tasks`, `processing`, `dead`, `recurring` or `wakeup` after a `:`');
     }
 
-    // Will be set to true if the redis instance is self-contained
-    this.selfContainedResis = false;
-
-    if (typeof settings.redis?.connect === 'function') {
-      this.redisClient = settings.redis;
+    this.id = settings.id;
 
-    } else if (typeof settings.redis === 'object') {
-      settings.redis.legacyMode = true;
-      this.redisClient = redis.createClient(settings.redis);
-      this.selfContainedResis = true;
-      this.redisClient.on("error", function(error) {
-        // todo: do something with this
-      });
-
-    } else {
-      throw new TypeError('Invalid redis connection options');
-    }
+    // Commands are sent through an adapter, so that any supported client can
+    // be used (see `lib/adapters.js`). `selfContainedResis` is set if the
+    // redis instance was created just for this object.
+    const connection = createConnection(settings.redis, error => this.emit('redisError', error));
+    this.redisClient = connection.client;
+    this.redisAdapter = connection.adapter;
+    this.selfContainedResis = connection.selfContained;
 
 
-    // Callback function for all delayed tasks
+    // Callback function for tasks without a type, or whose type has no
+    // handler (Default: none)
     if (typeof settings.callback === 'function') {
       this.callback = settings.callback;
+    } else if (settings.callback === undefined) {
+      this.callback = null;
     } else {
       throw new TypeError('Invalid callback function specified');
     }
 
-    // Create the queue name (will be the redis key for the ZSET)
-    this.redisKey = `delayed:${ this.id }`;
+    // Handler functions by task type, registered with `handle()`
+    this.handlers = new Map();
 
     // Force a settings object
     settings.options = settings.options || {};
 
+    // Key prefix - the start of every redis key for the queue (Default:
+    // `delayed`)
+    if (typeof settings.options.keyPrefix === 'string' && settings.options.keyPrefix.length > 0) {
+      this.keyPrefix = settings.options.keyPrefix;
+    } else {
+      this.keyPrefix = 'delayed';
+    }
+
+    // Hash tag - whether to wrap the queue ID in a hash tag, so that all of
+    // its keys are in the same Redis Cluster slot (Default: false)
+    this.hashTag = (settings.options.hashTag === true);
+
+    // Create the queue's redis keys. The ZSET holds task IDs scored by due
+    // time, while the serialized tasks live in a hash keyed by task ID so that
+    // a task can be located without its payload.
+    const keys = buildKeys(this.id, { keyPrefix: this.keyPrefix, hashTag: this.hashTag });
+    this.redisKey = keys.pending;
+    this.tasksKey = keys.tasks;
+    this.processingKey = keys.processing;
+    this.deadKey = keys.dead;
+    this.deadTasksKey = keys.deadTasks;
+    this.recurringKey = keys.recurring;
+    this.wakeupChannel = keys.wakeup;
+
     // Poll Interval - how often to poll redis (Default: 1000ms)
     if (typeof settings.options.pollIntervalMs === 'number' && settings.options.pollIntervalMs > 0) {
       this.pollIntervalMs = settings.options.pollIntervalMs;
@@ -56,130 +85,697 @@ class DelayedTasks {
       this.pollIntervalMs = 1000;
     }
 
-    this.pollIntervalId = null;
-  }
+    // Adaptive polling - instead of polling every `pollIntervalMs`, sleep
+    // until the next task is due, waking early when a sooner one is added
+    // (Default: false)
+    this.adaptivePolling = settings.options.adaptivePolling === true;
 
-  connect() {
-    if (!this.redisClient.isReady) {
-      const p = new Promise(resolve => this.redisClient.on('ready', resolve));
+    // Max poll interval - the longest adaptive polling sleeps between polls
+    // (Default: 30000ms)
+    if (typeof settings.options.maxPollIntervalMs === 'number' && settings.options.maxPollIntervalMs > 0) {
+      this.maxPollIntervalMs = settings.options.maxPollIntervalMs;
+    } else {
+      this.maxPollIntervalMs = 30000;
+    }
+
+    // Reliable mode - keep claimed tasks in flight until they're acknowledged
+    // (Default: false)
+    this.reliable = settings.options.reliable === true;
+
+    // Visibility timeout - how long a claimed task may stay in flight before
+    // it's returned to the queue (Default: 30000ms)
+    if (typeof settings.options.visibilityTimeoutMs === 'number' && settings.options.visibilityTimeoutMs > 0) {
+      this.visibilityTimeoutMs = settings.options.visibilityTimeoutMs;
+    } else {
+      this.visibilityTimeoutMs = 30000;
+    }
+
+    // Batch size - the most tasks a single poll will claim (Default: no limit)
+    if (Number.isInteger(settings.options.batchSize) && settings.options.batchSize > 0) {
+      this.batchSize = settings.options.batchSize;
+    } else {
+      this.batchSize = Infinity;
+    }
+
+    // Concurrency - the most callbacks that may run at once on this instance
+    // (Default: no limit)
+    if (Number.isInteger(settings.options.concurrency) && settings.options.concurrency > 0) {
+      this.concurrency = settings.options.concurrency;
+    } else {
+      this.concurrency = Infinity;
+    }
 
-      this.redisClient.connect();
+    // Priority window - how many of the earliest due tasks a poll considers
+    // when picking the highest priority ones to claim (Default: 1000)
+    if (Number.isInteger(settings.options.priorityWindow) && settings.options.priorityWindow > 0) {
+      this.priorityWindow = settings.options.priorityWindow;
+    } else {
+      this.priorityWindow = 1000;
+    }
+
+    // Auto ack - acknowledge tasks once the callback returns or its promise
+    // resolves (Default: true)
+    this.autoAck = settings.options.autoAck !== false;
+
+    // Retry policy for tasks whose callback fails (Default: no retries)
+    this.retry = parseRetryPolicy(settings.options.retry);
 
-      return p;
+    // Dead letters - keep tasks that exhaust their retries (Default: true)
+    this.deadLetter = settings.options.deadLetter !== false;
+
+    // Serializer for task data (Default: JSON)
+    if (serializers.isSerializer(settings.options.serializer)) {
+      this.serializer = settings.options.serializer;
+    } else {
+      this.serializer = serializers.json();
+    }
+
+    // Set between `start()` and `stop()`, while polls are being scheduled,
+    // and once closed
+    this.polling = false;
+    this.closed = false;
+
+    // The timer for the next scheduled poll and when it's due, and the
+    // promise for the scheduled poll that's running (including working out
+    // when the next one is due)
+    this.pollTimeoutId = null;
+    this.nextPollAt = null;
+    this.scheduledPoll = null;
+
+    // With adaptive polling, the earliest wakeup received while a poll was
+    // running, and the wakeup subscription (resolving to a function that
+    // ends it)
+    this.wakeAt = null;
+    this.subscription = null;
+
+    // The promise for the poll that's running, which any other call to
+    // `poll()` joins
+    this.currentPoll = null;
+
+    // Promises for the tasks currently being processed, mapped to the task
+    // and the lease it was claimed with
+    this.activeTasks = new Map();
+
+    // In reliable mode, the lease of each task whose handler is running (by
+    // task ID), and the result of the handler acknowledging the task itself
+    this.handlingTasks = new Map();
+
+    // Set while draining, so that no more tasks are claimed
+    this.draining = false;
+  }
+
+  connect() {
+    if (!this.redisAdapter.isReady()) {
+      return this.redisAdapter.connect()
+        .then(() => this.emit('ready'));
 
     } else {
       // Already connected -- nothing to do and no failure
+      this.emit('ready');
       return Promise.resolve();
     }
   }
 
   /**
-   * Start polling.
+   * Registers the function to call for tasks of the given type, in place of
+   * `callback`. Registering a type again replaces its handler.
+   */
+  handle(type, handler) {
+    if (typeof type !== 'string' || type.length === 0) {
+      throw new TypeError('`type` must be a non-empty string');
+    } else if (typeof handler !== 'function') {
+      throw new TypeError('`handler` must be a function');
+    }
+
+    this.handlers.set(type, handler);
+
+    return this;
+  }
+
+  /**
+   * Whether polls are being scheduled: `polling` (between `start()` and
+   * `stop()`), `stopped`, `draining` (see `drain()`) or `closed`.
+   */
+  get state() {
+    if (this.polling) {
+      return 'polling';
+    } else if (this.closed) {
+      return 'closed';
+    } else if (this.draining) {
+      return 'draining';
+    }
+
+    return 'stopped';
+  }
+
+  /**
+   * Whether polls are being scheduled (see `state`).
+   */
+  get isPolling() {
+    return this.polling;
+  }
+
+  /**
+   * Start polling. Each poll is scheduled once the one before it has
+   * finished, so scheduled polls never overlap. Starting again while already
+   * polling does nothing. Errors from scheduled polls are emitted as
+   * `pollError`.
    */
   start() {
-    if (this.redisClient.isReady) {
-      this.pollIntervalId = setInterval(this.poll.bind(this), this.pollIntervalMs);
+    if (this.polling) {
       return true;
+    } else if (!this.redisAdapter.isReady()) {
+      return false;
+    }
 
+    this.draining = false;
+    this.closed = false;
+    this.polling = true;
+
+    if (this.adaptivePolling) {
+      this.startAdaptivePolling();
     } else {
-      return false;
+      this.schedulePoll(this.pollIntervalMs);
     }
+
+    return true;
   }
 
   /**
-   * Stops polling.
+   * Stops polling. Resolves once any poll that's already running has
+   * finished.
    */
   stop() {
-    clearInterval(this.pollIntervalId);
-    this.pollIntervalId = null;
+    this.polling = false;
+
+    clearTimeout(this.pollTimeoutId);
+    this.pollTimeoutId = null;
+
+    const waits = [this.currentPoll, this.scheduledPoll]
+      .filter(p => p !== null)
+      .map(p => p.catch(() => {}));
+
+    if (this.subscription !== null) {
+      waits.push(this.subscription.then(unsubscribe => unsubscribe && unsubscribe()).catch(() => {}));
+      this.subscription = null;
+    }
+
+    return Promise.all(waits).then(() => {});
+  }
+
+  /**
+   * Starts adaptive polling: each poll is scheduled for when the next task is
+   * due (but at most `maxPollIntervalMs` away), and is brought forward when
+   * any worker adds a task that's due sooner.
+   */
+  startAdaptivePolling() {
+    this.wakeAt = null;
+
+    this.subscription = this.redisAdapter
+      .subscribe(this.wakeupChannel, due => this.wake(Number(due)), error => this.emit('redisError', error))
+      .catch(error => {
+        // Polls still happen at least every `maxPollIntervalMs` without
+        // wakeups
+        this.emit('pollError', error);
+        return null;
+      });
+
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Schedules the next poll, replacing any that's already scheduled.
+   */
+  schedulePoll(delayMs) {
+    clearTimeout(this.pollTimeoutId);
+
+    this.nextPollAt = new Date().getTime() + delayMs;
+    this.pollTimeoutId = setTimeout(() => {
+      this.pollTimeoutId = null;
+
+      const p = this.runScheduledPoll();
+      this.scheduledPoll = p;
+      p.then(() => {
+        if (this.scheduledPoll === p) {
+          this.scheduledPoll = null;
+        }
+      });
+    }, delayMs);
   }
 
   /**
-   * Closes up shop. If the redis instance is self contained (it was created,
-   * just for this object instance), it will be deleted.
+   * Polls, then schedules the next poll: `pollIntervalMs` after this one
+   * started or, with adaptive polling, when the next task is due.
    */
-  async close() {
-    this.stop();
+  async runScheduledPoll() {
+    const polledAt = new Date().getTime();
+    let delayMs = this.pollIntervalMs;
+
+    try {
+      await this.poll();
+
+      if (this.adaptivePolling) {
+        delayMs = await this.nextPollDelay(polledAt);
+      } else {
+        delayMs = Math.max(0, polledAt + this.pollIntervalMs - new Date().getTime());
+      }
+    } catch (error) {
+      this.emit('pollError', error);
+    }
 
-    if (this.selfContainedResis && this.redisClient.isReady) {
-      await this.redisClient.disconnect();
+    // Stopped while polling
+    if (!this.polling) {
+      return;
+    }
+
+    if (this.wakeAt !== null) {
+      delayMs = Math.min(delayMs, Math.max(0, this.wakeAt - new Date().getTime()));
+      this.wakeAt = null;
+    }
+
+    this.schedulePoll(delayMs);
+  }
+
+  /**
+   * Works out how long to sleep until the next adaptive poll, after a poll
+   * that started at `polledAt`.
+   */
+  async nextPollDelay(polledAt) {
+    const next = await this.runScript(scripts.nextDue, []);
+    if (next === null) {
+      return this.maxPollIntervalMs;
+    }
+
+    // Tasks that were already due when the poll started, but weren't claimed
+    // (because of `batchSize` or `concurrency`), wait for the usual interval
+    if (Number(next) <= polledAt) {
+      return this.pollIntervalMs;
+    }
+
+    return Math.min(Math.max(0, Number(next) - new Date().getTime()), this.maxPollIntervalMs);
+  }
+
+  /**
+   * Handles a wakeup message, bringing the next adaptive poll forward if a
+   * task was added that's due before it.
+   */
+  wake(due) {
+    if (!this.polling) {
+      return;
+    }
+
+    if (this.pollTimeoutId === null) {
+      // A poll is running, so it's taken into account once it's finished
+      this.wakeAt = Math.min((this.wakeAt === null) ? Infinity : this.wakeAt, due);
+    } else if (due < this.nextPollAt) {
+      this.schedulePoll(Math.max(0, due - new Date().getTime()));
+    }
+  }
+
+  /**
+   * Stops claiming tasks and waits for the current poll and all in-flight
+   * callbacks to finish. If they haven't finished within `timeoutMs`, stops
+   * waiting and, in reliable mode, returns the unfinished tasks to the queue.
+   * Resolves to `true` if everything finished, or `false` otherwise.
+   */
+  async drain({ timeoutMs = Infinity } = {}) {
+    if (typeof timeoutMs !== 'number' || !(timeoutMs >= 0)) {
+      throw new TypeError('`timeoutMs` must be a non-negative number');
+    }
+
+    this.draining = true;
+    await this.stop();
+
+    const finished = await settleWithin([...this.activeTasks.keys()], timeoutMs);
+
+    if (!finished && this.reliable && this.activeTasks.size > 0) {
+      const leases = [];
+      this.activeTasks.forEach(({ task, lease }) => leases.push(task.id, lease));
+
+      await this.runScript(scripts.release, leases);
+    }
+
+    return finished;
+  }
+
+  /**
+   * Closes up shop, draining first (see `drain()`). If the redis instance is
+   * self contained (it was created, just for this object instance), it will be
+   * deleted.
+   */
+  async close(options) {
+    await this.drain(options);
+
+    if (this.selfContainedResis && this.redisAdapter.isReady()) {
+      await this.redisAdapter.disconnect();
       this.redisClient = null;
     }
+
+    this.closed = true;
+    this.emit('closed');
   }
 
   /**
-   * Polls redis for tasks.
+   * Polls redis for tasks. Due tasks are claimed atomically by a script, so
+   * polls from different workers (and writes) never conflict and a task is
+   * only ever claimed by one worker. If this object is already polling
+   * (whether the poll was scheduled or not), this joins that poll instead of
+   * starting another. While draining, nothing is claimed.
    */
-  poll() {
-    const now = new Date().getTime();
+  async poll() {
+    return this.pollWith(args => this.runScript(scripts.claim, args));
+  }
 
-    return new Promise((resolve, reject) => {
-      this.redisClient.watch(this.redisKey, (watchError) => {
-        /* istanbul ignore next */
-        if (watchError) return reject(watchError);
-
-        this.redisClient.zrangebyscore(this.redisKey, 0, now, (zrangeErr, tasks) => {
-          /* istanbul ignore next */
-          if (zrangeErr) return reject(zrangeErr);
-
-          if (tasks.length > 0) {
-            this.redisClient
-              .multi()
-              .zremrangebyscore(this.redisKey, 0, now)
-              .exec((execError, results) => {
-                /* istanbul ignore next */
-                if (execError) {
-                  if (execError instanceof redis.WatchError) {
-                    /**
-                     * If execError is a "WatchError", it means that a concurrent client
-                     * changed the key while we were processing it and thus
-                     * the execution of the MULTI command was not performed. We'll fail
-                     * silently as those jobs will be picked up on the next `poll()`
-                     */
-                    return resolve(0);
-                  } else {
-                    return reject(execError)
-                  }
-                }
-
-                if (results && results[0] !== null) {
-                  // Process tasks
-                  tasks
-                    .map(t => JSON.parse(t))
-                    .forEach(t => this.callback.call(this, t.data, t.id, t.due));
-                }
-
-                resolve((!results || results[0] === null) ? 0 : results[0]);
-              });
-
-            } else {
-              // No changes to make
-              this.redisClient.unwatch();
-              resolve(0);
-            }
-        });
+  /**
+   * Polls like `poll()`, but with `claim(args)` standing in for running the
+   * claim script with `args`, so that a `DelayedTasksManager` can claim tasks
+   * for many queues at once. `claim` is called straight away (if it's called
+   * at all), before this waits on anything.
+   */
+  pollWith(claim) {
+    if (this.draining) {
+      return Promise.resolve(0);
+    }
+
+    if (this.currentPoll === null) {
+      this.currentPoll = this.claimTasks(claim).finally(() => {
+        this.currentPoll = null;
       });
+    }
+
+    return this.currentPoll;
+  }
+
+  /**
+   * Claims due tasks (using `claim`, see `pollWith()`) and starts processing
+   * them, resolving to the number of tasks claimed.
+   */
+  async claimTasks(claim) {
+    const now = new Date().getTime();
+
+    // Only claim as many tasks as we have room to run, leaving the rest in
+    // redis for other workers
+    const limit = Math.min(this.batchSize, this.concurrency - this.activeTasks.size);
+    if (limit <= 0) {
+      return 0;
+    }
+
+    // In reliable mode, claimed tasks are moved in flight until they're
+    // acknowledged
+    const leaseExpiry = this.reliable ? now + this.visibilityTimeoutMs : 0;
+
+    // With no limit, every due task is claimed, so every one is considered.
+    // Otherwise, at least as many as can be claimed are.
+    const window = (limit === Infinity) ? -1 : Math.max(limit, this.priorityWindow);
+
+    const claimed = await claim([now, (limit === Infinity) ? -1 : limit, leaseExpiry, window]);
+    const tasks = [];
+    const rejected = [];
+
+    for (const stored of claimed) {
+      try {
+        tasks.push(this.parseTask(stored));
+      } catch (error) {
+        rejected.push(this.rejectTask(stored, error, leaseExpiry));
+      }
+    }
+
+    const expired = [];
+
+    tasks.forEach(t => {
+      // Expired tasks were claimed too, so they're still reported as claimed
+      this.emit('claimed', t);
+
+      if (isExpired(t, now)) {
+        expired.push(this.expireTask(t, leaseExpiry));
+        return;
+      }
+
+      this.runTask(t, leaseExpiry);
     });
+
+    await Promise.all(expired);
+
+    // Keep any recurring schedules going, even if a run couldn't be read
+    await Promise.all(
+      tasks
+        .concat(await Promise.all(rejected))
+        .filter(t => t.recurring !== undefined)
+        .map(t => this.advanceRecurring(t, now))
+    );
+
+    this.emit('polled', { claimed: claimed.length, durationMs: new Date().getTime() - now });
+
+    return claimed.length;
   }
 
   /**
-   * Adds a task to redis.
+   * Handles a claimed task that's too late to be useful, emitting `expired`
+   * instead of calling its handler. In reliable mode, the task is
+   * acknowledged straight away.
    */
-  addToRedis(delayedTime, task) {
-    return new Promise((resolve, reject) => {
-      this.redisClient.zadd(this.redisKey, delayedTime, task, (err, result) => {
-        /* istanbul ignore next */
-        if (err) return reject(err);
+  async expireTask(task, lease) {
+    this.emit('expired', task);
 
-        resolve(result);
+    if (this.reliable) {
+      await this.runScript(scripts.ack, [task.id, lease]);
+    }
+  }
+
+  /**
+   * Handles a claimed task whose data can't be deserialized, emitting a
+   * `deserializeError` and moving the task straight to the dead letters (if
+   * they're enabled), with its data left as it was stored. Resolves to the
+   * task, without its data.
+   */
+  async rejectTask(stored, error, lease) {
+    const now = new Date().getTime();
+    const task = JSON.parse(stored);
+
+    const envelope = Object.assign({}, task);
+    delete envelope.data;
+
+    this.emit('deserializeError', error, envelope);
+
+    if (this.deadLetter) {
+      const dead = Object.assign(task, {
+        attempts: (task.attempts || 0) + 1,
+        error: `Could not deserialize task data: ${ error.message }`,
+        failedAt: now
       });
-    });
+
+      await this.runScript(scripts.deadLetter, [task.id, now, JSON.stringify(dead), lease]);
+
+    } else if (this.reliable) {
+      await this.runScript(scripts.ack, [task.id, lease]);
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Makes sure the run after a recurring run claimed at `now` is scheduled,
+   * and knows when the run after it is due.
+   */
+  advanceRecurring(task, now) {
+    // The claim normally schedules the next run itself, but if it couldn't
+    // (e.g. a worker died before filling in `next`) or the next run is
+    // already overdue, catch up from now
+    const nextDue = (task.next !== undefined && task.next > now) ? task.next : nextRun(task.schedule, Math.max(task.due, now));
+    const following = nextRun(task.schedule, Math.max(nextDue, now));
+
+    return this.runScript(scripts.advanceRecurring, [task.recurring, task.id, nextDue, following]);
+  }
+
+  /**
+   * Processes a claimed task, keeping track of it until it's finished.
+   */
+  runTask(task, lease) {
+    const p = this.processTask(task, lease)
+      // Redis errors while finishing a task. In reliable mode, the task will
+      // be redelivered.
+      .catch(error => this.emit('redisError', error))
+      .finally(() => this.activeTasks.delete(p));
+
+    this.activeTasks.set(p, { task, lease });
+  }
+
+  /**
+   * Calls the handler for a claimed task's type (or the callback), trapping
+   * any error it throws or rejects with. A task with nothing to handle it
+   * fails like any other. In reliable mode, the task is acknowledged once the
+   * handler succeeds (unless `autoAck` is disabled, or the handler called
+   * `ack()` itself). If the task's lease ran out in the meantime, a
+   * `conflict` is emitted instead of `completed`.
+   */
+  async processTask(task, lease) {
+    const handling = { lease, ack: null };
+
+    if (this.reliable) {
+      this.handlingTasks.set(task.id, handling);
+    }
+
+    try {
+      const handler = this.handlerFor(task);
+
+      if (handler === null) {
+        throw new Error((task.type === undefined)
+          ? 'No callback for tasks without a type'
+          : `No handler for task type \`${ task.type }\``);
+      }
+
+      await handler.call(this, task.data, task.id, task.due);
+    } catch (error) {
+      return this.failTask(task, error, lease);
+    } finally {
+      if (this.handlingTasks.get(task.id) === handling) {
+        this.handlingTasks.delete(task.id);
+      }
+    }
+
+    if (this.reliable && this.autoAck) {
+      const acked = (handling.ack !== null)
+        ? await handling.ack
+        : (await this.runScript(scripts.ack, [task.id, lease])) === 1;
+
+      if (!acked) {
+        this.emit('conflict', task);
+        return;
+      }
+    }
+
+    this.emit('completed', task);
+  }
+
+  /**
+   * Finds the function to call for a task: the handler registered for its
+   * type, falling back to the callback.
+   */
+  handlerFor(task) {
+    if (task.type !== undefined && this.handlers.has(task.type)) {
+      return this.handlers.get(task.type);
+    }
+
+    return this.callback;
+  }
+
+  /**
+   * Handles a task whose callback failed, either retrying it according to the
+   * retry policy or moving it to the dead letters once it's out of attempts.
+   * `lease` is the lease expiry the task was claimed with (0 if not in
+   * reliable mode).
+   */
+  async failTask(task, error, lease) {
+    const now = new Date().getTime();
+    const attempts = (task.attempts || 0) + 1;
+
+    let failed = Object.assign({}, task, { attempts });
+    let result = 1;
+
+    if (attempts < this.retry.maxAttempts) {
+      failed.due = now + retryDelay(this.retry, attempts);
+
+      result = await this.runScript(scripts.retry, [task.id, failed.due, this.serializeTask(failed), lease]);
+
+    } else if (this.deadLetter) {
+      failed = Object.assign(failed, {
+        error: error instanceof Error ? error.message : String(error),
+        failedAt: now
+      });
+
+      result = await this.runScript(scripts.deadLetter, [task.id, now, this.serializeTask(failed), lease]);
+
+    } else if (this.reliable) {
+      // Nowhere to put the task, so just make sure it isn't redelivered
+      result = await this.runScript(scripts.ack, [task.id, lease]);
+    }
+
+    // In reliable mode, the task's lease ran out and it may already have been
+    // redelivered, so leave it to the other worker
+    if (result === 0) {
+      this.emit('conflict', task);
+      return;
+    }
+
+    this.emit('failed', failed, error);
+  }
+
+  /**
+   * Serializes a task to be stored in redis, including its payload (using the
+   * serializer).
+   */
+  serializeTask(task) {
+    return JSON.stringify(Object.assign({}, task, { data: this.serializer.serialize(task.data) }));
+  }
+
+  /**
+   * Parses a task as stored in redis, including its payload (using the
+   * serializer).
+   */
+  parseTask(serialized) {
+    const task = JSON.parse(serialized);
+    task.data = this.readPayload(task);
+    return task;
+  }
+
+  /**
+   * Deserializes a stored task's payload. A task stored by version 2 keeps
+   * its original JSON as its payload (see `claim` in `lib/scripts.js`), which
+   * holds its data as it is rather than serialized.
+   */
+  readPayload(task) {
+    if (task.legacy) {
+      delete task.legacy;
+      return JSON.parse(task.data).data;
+    }
+
+    return this.serializer.deserialize(task.data);
   }
 
   /**
-   * Add a delayed task.
+   * Parses a task as stored in redis for listing. If its payload can't be
+   * deserialized, its `data` is `null` and `deserializeError` has the reason.
    */
-  async add(delayMs, data) {
+  inspectTask(serialized) {
+    const task = JSON.parse(serialized);
+
+    try {
+      task.data = this.readPayload(task);
+    } catch (error) {
+      task.data = null;
+      task.deserializeError = error.message;
+    }
+
+    return task;
+  }
+
+  /**
+   * The queue's keys (and its wakeup channel), in the order the Lua scripts in
+   * `lib/scripts.js` expect them.
+   */
+  scriptKeys() {
+    return [this.redisKey, this.tasksKey, this.processingKey, this.deadKey, this.deadTasksKey, this.recurringKey, this.wakeupChannel];
+  }
+
+  /**
+   * Runs one of the Lua scripts in `lib/scripts.js`, passing it all of the
+   * queue's keys.
+   */
+  runScript(script, args) {
+    return this.redisAdapter.eval(script, this.scriptKeys(), args);
+  }
+
+  /**
+   * Add a delayed task. `options.type` routes it to the handler registered
+   * for that type, and `options.key` is used as the task's ID, so that only
+   * one task with that key can exist at a time. With `options.mode` set to
+   * `replace`, adding a key that's pending replaces that task instead of
+   * being ignored. Due tasks with a higher `options.priority` (an integer,
+   * default 0) are claimed first. A task claimed more than
+   * `options.maxLatenessMs` after it's due, or after `options.expiresAt`, is
+   * expired instead of being handled.
+   */
+  async add(delayMs, data, options) {
     // Validate `delayMs`
     if (typeof delayMs !== 'number' || delayMs <= 0) {
       throw new TypeError('`delayMs` must be a positive integer');
@@ -190,21 +786,533 @@ class DelayedTasks {
     // Set time to execute
     const delayedTime = new Date().getTime() + delayMs;
 
-    // Create unique task ID
-    const taskId = uuidv1();
+    return this.schedule(delayedTime, data, parseTaskOptions(options));
+  }
+
+  /**
+   * Add a task that's due at an absolute time, given as a `Date` or epoch
+   * milliseconds. Times in the past are due immediately.
+   */
+  async addAt(date, data, options) {
+    const dueTime = toEpochMs(date);
+
+    // Validate `date`
+    if (dueTime === null) {
+      throw new TypeError('`date` must be a valid Date or epoch milliseconds');
+    } else if (data === undefined || data === null) {
+      throw new TypeError('No value provided for `data`');
+    }
+
+    return this.schedule(dueTime, data, parseTaskOptions(options));
+  }
 
-    // Serialize data
-    const task = JSON.stringify({
+  /**
+   * Stores a new task that's due at `delayedTime`, resolving to its ID. If
+   * a key is given and a task with that key already exists, nothing is stored
+   * and its ID is returned (unless `mode` is `replace`).
+   */
+  async schedule(delayedTime, data, { type, priority, key, mode, maxLatenessMs, expiresAt }) {
+    // Create unique task ID, unless the caller has its own
+    const taskId = (key !== undefined) ? key : uuidv1();
+
+    // Serialize data. The payload is serialized separately so that scripts
+    // can rewrite the task's metadata without decoding it.
+    const task = {
       id: taskId,
       due: delayedTime,
-      data
-    });
+      data,
+      type
+    };
 
-    await this.addToRedis(delayedTime, task);
+    // Most tasks have the default priority and never expire, so these are
+    // left out
+    if (priority !== undefined) {
+      task.priority = priority;
+    }
+
+    if (maxLatenessMs !== undefined) {
+      task.maxLatenessMs = maxLatenessMs;
+    }
+
+    if (expiresAt !== undefined) {
+      task.expiresAt = expiresAt;
+    }
+
+    if (key !== undefined) {
+      const added = await this.runScript(scripts.addKeyed, [taskId, delayedTime, this.serializeTask(task), mode]);
+
+      if (added === 0) {
+        return taskId;
+      }
+
+    } else {
+      await this.runScript(scripts.add, [taskId, delayedTime, this.serializeTask(task)]);
+    }
+
+    this.emit('added', task);
 
     return taskId;
   }
 
+  /**
+   * Cancels a pending task. Resolves to `true` if the task was found and
+   * removed, or `false` if it didn't exist (or was already processed). A
+   * recurring task's run can't be cancelled, since its schedule would be left
+   * without a pending run; `removeRecurring()` removes both.
+   */
+  async cancel(taskId) {
+    if (typeof taskId !== 'string' || taskId.length === 0) {
+      throw new TypeError('`taskId` must be a non-empty string');
+    } else if (taskId.startsWith('recurring:')) {
+      throw new TypeError('`taskId` is a recurring task\'s run; use `removeRecurring()` instead');
+    }
+
+    const result = await this.runScript(scripts.cancel, [taskId]);
+
+    return result === 1;
+  }
+
+  /**
+   * Deletes every pending task for good. The pending runs of recurring tasks
+   * are kept, as `cancel()` does. Resolves to the number of tasks deleted.
+   */
+  async purge() {
+    return this.runScript(scripts.purge, []);
+  }
+
+  /**
+   * Acknowledges an in-flight task in reliable mode, removing it for good.
+   * Resolves to `true` if the task was acknowledged, or `false` if it isn't in
+   * flight (e.g. its lease expired and it was returned to the queue).
+   */
+  async ack(taskId) {
+    if (typeof taskId !== 'string' || taskId.length === 0) {
+      throw new TypeError('`taskId` must be a non-empty string');
+    }
+
+    // A task whose handler is running here is acknowledged with its own
+    // lease, and isn't acknowledged again once the handler returns
+    const handling = this.handlingTasks.get(taskId);
+    const acked = this.runScript(scripts.ack, (handling === undefined) ? [taskId] : [taskId, handling.lease])
+      .then(result => result === 1);
+
+    if (handling !== undefined) {
+      handling.ack = acked;
+    }
+
+    return acked;
+  }
+
+  /**
+   * Changes when a pending task is due, keeping its ID and payload. `delay` is
+   * either a number of milliseconds from now or a `Date`. Resolves to `true` if
+   * the task was rescheduled, or `false` if it isn't pending.
+   */
+  async reschedule(taskId, delay) {
+    if (typeof taskId !== 'string' || taskId.length === 0) {
+      throw new TypeError('`taskId` must be a non-empty string');
+    }
+
+    let delayedTime;
+    if (typeof delay === 'number' && delay > 0) {
+      delayedTime = new Date().getTime() + delay;
+    } else if (delay instanceof Date && toEpochMs(delay) !== null) {
+      delayedTime = delay.getTime();
+    } else {
+      throw new TypeError('`delay` must be a positive integer or a valid Date');
+    }
+
+    const result = await this.runScript(scripts.reschedule, [taskId, delayedTime]);
+
+    return result === 1;
+  }
+
+  /**
+   * Replaces the data of a pending task, keeping its ID and due time. Resolves
+   * to `true` if the task was updated, or `false` if it isn't pending.
+   */
+  async update(taskId, data) {
+    if (typeof taskId !== 'string' || taskId.length === 0) {
+      throw new TypeError('`taskId` must be a non-empty string');
+    } else if (data === undefined || data === null) {
+      throw new TypeError('No value provided for `data`');
+    }
+
+    const result = await this.runScript(scripts.update, [taskId, this.serializer.serialize(data)]);
+
+    return result === 1;
+  }
+
+  /**
+   * Counts pending tasks, whether or not they're due. In-flight tasks aren't
+   * counted.
+   */
+  async count() {
+    return this.runScript(scripts.count, ['+inf']);
+  }
+
+  /**
+   * Counts pending tasks that are due now.
+   */
+  async countDue() {
+    return this.runScript(scripts.count, [new Date().getTime()]);
+  }
+
+  /**
+   * Gets the next `n` pending tasks, earliest due first, without claiming
+   * them.
+   */
+  async peek(n = 1) {
+    if (!Number.isInteger(n) || n <= 0) {
+      throw new TypeError('`n` must be a positive integer');
+    }
+
+    return this.list({ limit: n });
+  }
+
+  /**
+   * Gets a pending or in-flight task by ID. Resolves to `null` if it doesn't
+   * exist.
+   */
+  async get(taskId) {
+    if (typeof taskId !== 'string' || taskId.length === 0) {
+      throw new TypeError('`taskId` must be a non-empty string');
+    }
+
+    const task = await this.runScript(scripts.get, [taskId]);
+
+    return (task === null) ? null : this.inspectTask(task);
+  }
+
+  /**
+   * Lists pending tasks, earliest due first. `from` and `to` (a `Date` or
+   * epoch milliseconds) limit the tasks to those due within that range.
+   */
+  async list({ from, to, offset = 0, limit = 100 } = {}) {
+    const min = (from === undefined) ? '-inf' : toEpochMs(from);
+    const max = (to === undefined) ? '+inf' : toEpochMs(to);
+
+    if (min === null) {
+      throw new TypeError('`from` must be a valid Date or epoch milliseconds');
+    } else if (max === null) {
+      throw new TypeError('`to` must be a valid Date or epoch milliseconds');
+    } else if (!Number.isInteger(offset) || offset < 0) {
+      throw new TypeError('`offset` must be a non-negative integer');
+    } else if (!Number.isInteger(limit) || limit <= 0) {
+      throw new TypeError('`limit` must be a positive integer');
+    }
+
+    const tasks = await this.runScript(scripts.list, [min, max, offset, limit]);
+
+    return tasks
+      .filter(t => t !== null)
+      .map(t => this.inspectTask(t));
+  }
+
+  /**
+   * Calculates how overdue (in milliseconds) the earliest pending task is.
+   * Resolves to 0 if no tasks are due.
+   */
+  async lag() {
+    const now = new Date().getTime();
+    const earliest = await this.runScript(scripts.earliestDue, []);
+
+    return (earliest === null) ? 0 : Math.max(0, now - Number(earliest));
+  }
+
+  /**
+   * Registers a recurring task, run on `schedule` across all workers. The
+   * schedule is a cron expression, an interval in milliseconds, or an object
+   * with either `cron` (and optionally a `tz` time zone) or `everyMs`.
+   *
+   * Registering the same name, schedule and data again is a no-op, so every
+   * worker can safely register its schedules at startup. Registering the same
+   * name with a different schedule, data or type replaces it. Resolves to the
+   * ID of the pending run.
+   */
+  async addRecurring(name, schedule, data, options) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new TypeError('`name` must be a non-empty string');
+    } else if (data === undefined || data === null) {
+      throw new TypeError('No value provided for `data`');
+    }
+
+    const { type, priority } = parseTaskOptions(options);
+    const parsed = parseSchedule(schedule);
+    const due = nextRun(parsed, new Date().getTime());
+
+    const task = this.serializeTask({
+      id: recurringRunId(name, due),
+      due,
+      data,
+      type,
+      priority,
+      recurring: name,
+      schedule: parsed,
+      next: nextRun(parsed, due)
+    });
+
+    const stored = JSON.stringify({
+      name,
+      schedule: parsed,
+      data: this.serializer.serialize(data),
+      fingerprint: serializers.fingerprint(data),
+      type,
+      priority
+    });
+
+    return this.runScript(scripts.addRecurring, [name, stored, task]);
+  }
+
+  /**
+   * Removes a recurring task and its pending run. Resolves to `true` if it was
+   * removed, or `false` if it doesn't exist.
+   */
+  async removeRecurring(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new TypeError('`name` must be a non-empty string');
+    }
+
+    const result = await this.runScript(scripts.removeRecurring, [name]);
+
+    return result === 1;
+  }
+
+  /**
+   * Lists registered recurring tasks, with when their next run is due.
+   */
+  async listRecurring() {
+    const result = await this.runScript(scripts.listRecurring, []);
+    const schedules = [];
+
+    for (let i = 0; i < result.length; i += 2) {
+      // Stored schedules keep their data like tasks do
+      const stored = this.inspectTask(result[i]);
+
+      const schedule = {
+        name: stored.name,
+        schedule: stored.schedule,
+        data: stored.data,
+        next: (result[i + 1] === null) ? null : Number(result[i + 1])
+      };
+
+      if (stored.type !== undefined) {
+        schedule.type = stored.type;
+      }
+
+      if (stored.priority !== undefined) {
+        schedule.priority = stored.priority;
+      }
+
+      if (stored.deserializeError !== undefined) {
+        schedule.deserializeError = stored.deserializeError;
+      }
+
+      schedules.push(schedule);
+    }
+
+    return schedules.sort((a, b) => (a.name < b.name) ? -1 : 1);
+  }
+
+  /**
+   * Lists tasks in the dead letters, oldest failure first.
+   */
+  async listDeadLetters({ offset = 0, limit = 100 } = {}) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new TypeError('`offset` must be a non-negative integer');
+    } else if (!Number.isInteger(limit) || limit <= 0) {
+      throw new TypeError('`limit` must be a positive integer');
+    }
+
+    const tasks = await this.runScript(scripts.listDead, [offset, offset + limit - 1]);
+
+    return tasks
+      .filter(t => t !== null)
+      .map(t => this.inspectTask(t));
+  }
+
+  /**
+   * Moves tasks from the dead letters back to the queue, due immediately and
+   * with their attempts reset. Requeues all dead letters if no IDs are given.
+   * Resolves to the number of tasks requeued.
+   */
+  async requeueDeadLetters(taskIds) {
+    return this.runScript(scripts.requeueDead, [new Date().getTime()].concat(checkTaskIds(taskIds)));
+  }
+
+  /**
+   * Deletes tasks from the dead letters. Deletes all dead letters if no IDs
+   * are given. Resolves to the number of tasks deleted.
+   */
+  async purgeDeadLetters(taskIds) {
+    return this.runScript(scripts.purgeDead, checkTaskIds(taskIds));
+  }
+
+}
+
+/**
+ * Waits for promises (which never reject) to settle, for at most `timeoutMs`.
+ * Resolves to `true` if they all settled in time, or `false` otherwise.
+ */
+function settleWithin(promises, timeoutMs) {
+  if (timeoutMs === Infinity) {
+    return Promise.all(promises).then(() => true);
+  }
+
+  let timeoutId;
+  const timeout = new Promise(resolve => {
+    timeoutId = setTimeout(() => resolve(false), timeoutMs);
+  });
+
+  return Promise.race([Promise.all(promises).then(() => true), timeout])
+    .finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Converts a `Date` or epoch milliseconds to epoch milliseconds, returning
+ * `null` if it isn't a valid time.
+ */
+function toEpochMs(date) {
+  const time = (date instanceof Date) ? date.getTime() : date;
+
+  if (typeof time !== 'number' || !Number.isFinite(time)) {
+    return null;
+  }
+
+  return time;
+}
+
+/**
+ * Checks the options given when adding a task.
+ */
+function parseTaskOptions(options) {
+  options = options || {};
+
+  if (options.type !== undefined && (typeof options.type !== 'string' || options.type.length === 0)) {
+    throw new TypeError('`type` must be a non-empty string');
+  } else if (options.priority !== undefined && !Number.isSafeInteger(options.priority)) {
+    throw new TypeError('`priority` must be an integer');
+  } else if (options.key !== undefined && (typeof options.key !== 'string' || options.key.length === 0)) {
+    throw new TypeError('`key` must be a non-empty string');
+  } else if (options.key !== undefined && options.key.startsWith('recurring:')) {
+    // Reserved for the runs of recurring tasks (see `recurringRunId()`)
+    throw new TypeError('`key` can\'t start with `recurring:`');
+  } else if (options.mode !== undefined && options.mode !== 'keep' && options.mode !== 'replace') {
+    throw new TypeError('`mode` must be `keep` or `replace`');
+  } else if (options.mode !== undefined && options.key === undefined) {
+    throw new TypeError('`mode` requires a `key`');
+  } else if (options.maxLatenessMs !== undefined && (typeof options.maxLatenessMs !== 'number' || !(options.maxLatenessMs >= 0))) {
+    throw new TypeError('`maxLatenessMs` must be a non-negative number');
+  } else if (options.expiresAt !== undefined && toEpochMs(options.expiresAt) === null) {
+    throw new TypeError('`expiresAt` must be a valid Date or epoch milliseconds');
+  }
+
+  return {
+    type: options.type,
+    // 0 is the default priority
+    priority: options.priority || undefined,
+    key: options.key,
+    mode: options.mode || 'keep',
+    maxLatenessMs: options.maxLatenessMs,
+    expiresAt: (options.expiresAt === undefined) ? undefined : toEpochMs(options.expiresAt)
+  };
+}
+
+/**
+ * Checks whether a task claimed at `now` is past its `expiresAt`, or more
+ * than its `maxLatenessMs` past its due time.
+ */
+function isExpired(task, now) {
+  return (task.expiresAt !== undefined && now > task.expiresAt) ||
+    (task.maxLatenessMs !== undefined && now > task.due + task.maxLatenessMs);
+}
+
+/**
+ * Builds the ID of a recurring task's run. This must match `runId()` in
+ * `lib/scripts.js`.
+ */
+function recurringRunId(name, due) {
+  return `recurring:${ name }:${ due }`;
+}
+
+/**
+ * Checks an optional list of task IDs, returning an empty list if none were
+ * given.
+ */
+function checkTaskIds(taskIds) {
+  if (taskIds === undefined) {
+    return [];
+  } else if (!Array.isArray(taskIds) || taskIds.some(id => typeof id !== 'string' || id.length === 0)) {
+    throw new TypeError('`taskIds` must be an array of non-empty strings');
+  }
+
+  return taskIds;
+}
+
+/**
+ * Builds a retry policy from the `retry` option, using defaults for anything
+ * that's missing or invalid.
+ */
+function parseRetryPolicy(retry) {
+  retry = retry || {};
+
+  const policy = {
+    maxAttempts: 1,
+    backoff: 'exponential',
+    delayMs: 1000,
+    maxDelayMs: 3600000,
+    jitter: 0
+  };
+
+  if (Number.isInteger(retry.maxAttempts) && retry.maxAttempts > 0) {
+    policy.maxAttempts = retry.maxAttempts;
+  }
+
+  if (retry.backoff === 'fixed' || retry.backoff === 'exponential') {
+    policy.backoff = retry.backoff;
+  }
+
+  if (typeof retry.delayMs === 'number' && retry.delayMs > 0) {
+    policy.delayMs = retry.delayMs;
+  }
+
+  if (typeof retry.maxDelayMs === 'number' && retry.maxDelayMs > 0) {
+    policy.maxDelayMs = retry.maxDelayMs;
+  }
+
+  if (retry.jitter === true) {
+    policy.jitter = 1;
+  } else if (typeof retry.jitter === 'number' && retry.jitter >= 0 && retry.jitter <= 1) {
+    policy.jitter = retry.jitter;
+  }
+
+  return policy;
+}
+
+/**
+ * Calculates how long to wait before retrying a task that has failed
+ * `attempts` times. Jitter takes a random amount, up to that fraction of the
+ * delay, off of it.
+ */
+function retryDelay(policy, attempts) {
+  let delay = policy.delayMs;
+
+  if (policy.backoff === 'exponential') {
+    delay = delay * Math.pow(2, attempts - 1);
+  }
+
+  delay = Math.min(delay, policy.maxDelayMs);
+
+  return Math.max(1, Math.round(delay - delay * policy.jitter * Math.random()));
 }
 
 exports.DelayedTasks = DelayedTasks;
+exports.DelayedTasksManager = DelayedTasksManager;
+exports.MetricsCollector = MetricsCollector;
+exports.MemoryStore = MemoryStore;
+exports.serializers = {
+  json: serializers.json,
+  richJson: serializers.richJson,
+  gzip: serializers.gzip,
+  encrypted: serializers.encrypted
+};
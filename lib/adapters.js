@@ -0,0 +1,117 @@
+/**
+ * Adapters give `DelayedTasks` the same promise-based interface to each redis
+ * client it supports: node-redis v4 (whether or not it's in legacy mode) and
+ * ioredis. Each adapter has `isReady()`, `connect()`, `disconnect()`,
+ * `eval(script, keys, args)` and `subscribe(channel, listener, onError)`.
+ *
+ * Subscribing needs a connection of its own, so `subscribe()` duplicates the
+ * client, passing errors from the duplicate to `onError`. It resolves to a
+ * function that unsubscribes (and closes the duplicate).
+ */
+
+/**
+ * Creates the adapter for a redis client, or returns `null` if the client
+ * isn't one that's supported.
+ */
+function createAdapter(client) {
+  if (typeof client !== 'object' || client === null) {
+    return null;
+  } else if (isIoRedis(client)) {
+    return ioRedisAdapter(client);
+  } else if (isNodeRedis(client)) {
+    return nodeRedisAdapter(client);
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a client is an ioredis client (or cluster), which are the
+ * only ones with `defineCommand()`.
+ */
+function isIoRedis(client) {
+  return typeof client.defineCommand === 'function' && typeof client.status === 'string';
+}
+
+/**
+ * Checks whether a client is a node-redis v4 client.
+ */
+function isNodeRedis(client) {
+  return typeof client.connect === 'function' && typeof client.isReady === 'boolean';
+}
+
+/**
+ * Adapter for node-redis v4. Clients in legacy mode keep the promise-based
+ * commands under `v4`.
+ */
+function nodeRedisAdapter(client) {
+  const commands = client.options?.legacyMode ? client.v4 : client;
+
+  return {
+    isReady: () => client.isReady,
+
+    connect: () => {
+      const ready = new Promise(resolve => client.once('ready', resolve));
+
+      // The client may already be connecting (e.g. if `connect()` was called
+      // elsewhere), in which case this just waits for it
+      return Promise.all([ready, client.isOpen ? null : client.connect()]);
+    },
+
+    disconnect: () => client.disconnect(),
+
+    eval: (script, keys, args) => commands.eval(script, {
+      keys,
+      arguments: args.map(String)
+    }),
+
+    subscribe: async (channel, listener, onError) => {
+      const subscriber = client.duplicate();
+      subscriber.on('error', onError);
+
+      await subscriber.connect();
+      await (subscriber.options?.legacyMode ? subscriber.v4 : subscriber).subscribe(channel, listener);
+
+      return () => subscriber.disconnect();
+    }
+  };
+}
+
+/**
+ * Adapter for ioredis.
+ */
+function ioRedisAdapter(client) {
+  return {
+    isReady: () => client.status === 'ready',
+
+    connect: () => {
+      // Clients connect by themselves unless `lazyConnect` is set, and
+      // `connect()` rejects unless the client is waiting to be connected
+      if (client.status === 'wait' || client.status === 'end') {
+        return client.connect();
+      }
+
+      return new Promise(resolve => client.once('ready', resolve));
+    },
+
+    disconnect: () => client.quit(),
+
+    eval: (script, keys, args) => client.eval(script, keys.length, ...keys, ...args),
+
+    subscribe: async (channel, listener, onError) => {
+      const subscriber = client.duplicate();
+      subscriber.on('error', onError);
+      subscriber.on('message', (from, message) => {
+        if (from === channel) {
+          listener(message);
+        }
+      });
+
+      await subscriber.subscribe(channel);
+
+      return () => subscriber.quit();
+    }
+  };
+}
+
+exports.createAdapter = createAdapter;
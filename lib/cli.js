@@ -0,0 +1,599 @@
+/**
+ * The `redis-delayed-tasks` command-line tool, for looking at and operating on
+ * a queue without writing any code. See `usage` below (or run it with
+ * `--help`) for its commands and options.
+ */
+
+const { DelayedTasks, serializers } = require('../index');
+
+const usage = `Usage: redis-delayed-tasks <command> <queue> [arguments] [options]
+
+Commands:
+  list <queue>                      List pending tasks, earliest due first
+  peek <queue> [n]                  Show the next n pending tasks (default: 1)
+  count <queue>                     Count pending and due tasks, and show the lag
+  get <queue> <taskId>              Show a pending or in-flight task
+  export <queue>                    Print every pending task as JSON
+  cancel <queue> <taskId>           Cancel a pending task
+  purge <queue> --all               Delete every pending task for good (except
+                                    the runs of recurring tasks)
+  reschedule <queue> <taskId> <at>  Reschedule a pending task to a time (see Times)
+  dead list <queue>                 List dead letters, oldest failure first
+  dead export <queue>               Print every dead letter as JSON
+  dead requeue <queue> [taskId...]  Move dead letters back to the queue
+  dead purge <queue> [taskId...]    Delete dead letters for good
+
+Options:
+  --url <url>           Redis URL (default: redis://localhost:6379)
+  --host <host>         Redis host
+  --port <port>         Redis port
+  --password <password> Redis password
+  --database <n>        Redis database number
+  --redis <json>        Any other node-redis client options, as JSON (like the
+                        constructor's \`redis\` setting)
+  --key-prefix <prefix> The queue's key prefix (default: delayed)
+  --hash-tag            The queue's keys are hash-tagged (for Redis Cluster)
+  --keys <json>         Keys to read data encrypted by \`encrypted()\` with, as
+                        JSON mapping key IDs to base64 keys
+  --from <time>         \`list\`: only tasks due from this time (see Times)
+  --to <time>           \`list\`: only tasks due up to this time (see Times)
+  --offset <n>          \`list\` and \`dead list\`: tasks to skip (default: 0)
+  --limit <n>           \`list\` and \`dead list\`: most tasks to show (default: 100)
+  --all                 \`purge\`: every pending task. \`dead requeue\` and
+                        \`dead purge\`: every dead letter
+  --format <format>     \`table\` (default) or \`json\`
+  -h, --help            Show this help
+
+Times:
+  A date (like 2030-01-01T09:00:00Z), epoch milliseconds (like 1893488400000)
+  or +<ms> for a number of milliseconds from now (like +60000)
+`;
+
+/**
+ * Options that take a value. Any other option is a flag.
+ */
+const valueOptions = ['url', 'host', 'port', 'password', 'database', 'redis', 'key-prefix', 'keys', 'from', 'to', 'offset', 'limit', 'format'];
+const flagOptions = ['hash-tag', 'all', 'help'];
+
+/**
+ * How many tasks `export` and `dead export` read at a time.
+ */
+const exportPageSize = 100;
+
+/**
+ * Thrown for mistakes in the command line itself, which are reported along
+ * with a pointer to `--help`.
+ */
+class UsageError extends Error {}
+
+/**
+ * Runs the tool with the given arguments (without `node` and the script),
+ * writing to `io.stdout` and `io.stderr` (Default: the process's). Resolves to
+ * the exit code: 0 on success, 1 if the command failed (including when a task
+ * isn't found) and 2 for a mistake in the command line.
+ */
+async function run(argv, io = process) {
+  let command;
+  let options;
+
+  try {
+    ({ command, options } = parseCommandLine(argv));
+  } catch (error) {
+    return fail(io, error);
+  }
+
+  if (command === null) {
+    io.stdout.write(usage);
+    return 0;
+  }
+
+  let dt;
+
+  try {
+    dt = new DelayedTasks({
+      id: command.queue,
+      redis: redisSettings(options),
+      options: {
+        keyPrefix: options['key-prefix'],
+        hashTag: options['hash-tag'] === true,
+        serializer: readSerializer(options)
+      }
+    });
+
+    await connect(dt);
+
+  } catch (error) {
+    // Stop a client that couldn't connect from trying again
+    if (dt !== undefined) {
+      await dt.redisAdapter.disconnect().catch(() => {});
+    }
+
+    return fail(io, error);
+  }
+
+  try {
+    const { result, text, ok = true } = await command.run(dt, command.args, options);
+
+    io.stdout.write((options.format === 'json') ? `${ JSON.stringify(result, null, 2) }\n` : text);
+
+    return ok ? 0 : 1;
+
+  } catch (error) {
+    return fail(io, error);
+
+  } finally {
+    await dt.close();
+  }
+}
+
+/**
+ * Reports an error, returning the exit code for it.
+ */
+function fail(io, error) {
+  if (error instanceof UsageError) {
+    io.stderr.write(`${ error.message }\nRun with --help for usage.\n`);
+    return 2;
+  }
+
+  io.stderr.write(`Error: ${ error.message }\n`);
+  return 1;
+}
+
+/**
+ * Connects to redis, rejecting on the first connection error instead of
+ * waiting for the client to reconnect.
+ */
+function connect(dt) {
+  return new Promise((resolve, reject) => {
+    dt.once('redisError', reject);
+    dt.connect().then(resolve, reject);
+  });
+}
+
+/**
+ * Splits the command line into the command (or `null` for `--help`) and its
+ * options.
+ */
+function parseCommandLine(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s);
+
+      if (valueOptions.includes(name)) {
+        const value = (inline !== undefined) ? inline : argv[++i];
+        if (value === undefined) {
+          throw new UsageError(`Missing value for --${ name }`);
+        }
+
+        options[name] = value;
+      } else if (flagOptions.includes(name) && inline === undefined) {
+        options[name] = true;
+      } else {
+        throw new UsageError(`Unknown option: ${ arg }`);
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  if (options.format !== undefined && options.format !== 'table' && options.format !== 'json') {
+    throw new UsageError('--format must be `table` or `json`');
+  }
+
+  if (options.help || positionals.length === 0) {
+    return { command: null, options };
+  }
+
+  let name = positionals.shift();
+  if (name === 'dead') {
+    name = `dead ${ positionals.shift() || '' }`.trim();
+  }
+
+  const command = commands[name];
+  if (command === undefined) {
+    throw new UsageError(`Unknown command: ${ name }`);
+  }
+
+  const [queue, ...args] = positionals;
+  if (queue === undefined) {
+    throw new UsageError(`Missing queue for \`${ name }\``);
+  } else if (args.length < command.minArgs || (command.maxArgs !== undefined && args.length > command.maxArgs)) {
+    throw new UsageError(`Wrong number of arguments for \`${ name }\``);
+  }
+
+  return { command: { queue, args, run: command.run }, options };
+}
+
+/**
+ * Builds the `redis` setting for the queue: node-redis client options, from
+ * `--redis` with the other connection options on top.
+ */
+function redisSettings(options) {
+  let settings = {};
+
+  if (options.redis !== undefined) {
+    try {
+      settings = JSON.parse(options.redis);
+    } catch (error) {
+      throw new UsageError('--redis must be valid JSON');
+    }
+
+    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+      throw new UsageError('--redis must be a JSON object');
+    }
+  }
+
+  if (options.url !== undefined) {
+    settings.url = options.url;
+  }
+
+  if (options.host !== undefined || options.port !== undefined) {
+    settings.socket = Object.assign({}, settings.socket);
+
+    if (options.host !== undefined) {
+      settings.socket.host = options.host;
+    }
+
+    if (options.port !== undefined) {
+      settings.socket.port = Number(options.port);
+    }
+  }
+
+  if (options.password !== undefined) {
+    settings.password = options.password;
+  }
+
+  if (options.database !== undefined) {
+    settings.database = Number(options.database);
+  }
+
+  return settings;
+}
+
+/**
+ * Builds the serializer that task data is read with. Data is shown as JSON
+ * (so values kept by `richJson()` are shown in their tagged form), after
+ * decompressing it if it was compressed by `gzip()` and, with `--keys`,
+ * decrypting it if it was encrypted by `encrypted()`. Each of these passes
+ * anything it didn't write through as is, so they're applied either way
+ * around.
+ */
+function readSerializer(options) {
+  let serializer = serializers.gzip();
+
+  if (options.keys !== undefined) {
+    let keys;
+
+    try {
+      keys = JSON.parse(options.keys);
+    } catch (error) {
+      throw new UsageError('--keys must be valid JSON');
+    }
+
+    try {
+      serializer = serializers.gzip({
+        serializer: serializers.encrypted({ serializer, keys, keyId: Object.keys(keys)[0] })
+      });
+    } catch (error) {
+      throw new UsageError('--keys must map key IDs to base64 32-byte keys');
+    }
+  }
+
+  return serializer;
+}
+
+/**
+ * Parses a time given on the command line, the same way for every command:
+ * epoch milliseconds, `+<ms>` for a number of milliseconds from now, or
+ * anything `Date` can parse. Invalid dates are left for `DelayedTasks` to
+ * reject.
+ */
+function parseDate(value) {
+  if (/^\+\d+$/.test(value)) {
+    return new Date(new Date().getTime() + Number(value.slice(1)));
+  }
+
+  return new Date(/^\d+$/.test(value) ? Number(value) : value);
+}
+
+/**
+ * Parses a number given on the command line. Invalid numbers are left for
+ * `DelayedTasks` to reject.
+ */
+function parseNumber(value, defaultValue) {
+  return (value === undefined) ? defaultValue : Number(value);
+}
+
+/**
+ * Commands by name, with how many arguments they take after the queue. Each
+ * resolves to its `result` (printed with `--format json`), its `text`
+ * (printed otherwise) and whether it succeeded (`ok`, default `true`).
+ */
+const commands = {
+
+  list: {
+    minArgs: 0,
+    maxArgs: 0,
+    run: async (dt, args, options) => {
+      const tasks = await dt.list({
+        from: (options.from === undefined) ? undefined : parseDate(options.from),
+        to: (options.to === undefined) ? undefined : parseDate(options.to),
+        offset: parseNumber(options.offset, 0),
+        limit: parseNumber(options.limit, 100)
+      });
+
+      return { result: tasks, text: formatTasks(tasks) };
+    }
+  },
+
+  peek: {
+    minArgs: 0,
+    maxArgs: 1,
+    run: async (dt, [n]) => {
+      const tasks = await dt.peek(parseNumber(n, 1));
+
+      return { result: tasks, text: formatTasks(tasks) };
+    }
+  },
+
+  count: {
+    minArgs: 0,
+    maxArgs: 0,
+    run: async dt => {
+      const [pending, due, lag] = await Promise.all([dt.count(), dt.countDue(), dt.lag()]);
+      const result = { pending, due, lagMs: lag };
+
+      return { result, text: formatFields(result) };
+    }
+  },
+
+  get: {
+    minArgs: 1,
+    maxArgs: 1,
+    run: async (dt, [taskId]) => {
+      const task = await dt.get(taskId);
+
+      if (task === null) {
+        return { result: null, text: `Task not found: ${ taskId }\n`, ok: false };
+      }
+
+      return { result: task, text: formatTask(task) };
+    }
+  },
+
+  export: {
+    minArgs: 0,
+    maxArgs: 0,
+    run: async dt => {
+      const tasks = await readAll(offset => dt.list({ offset, limit: exportPageSize }), await dt.count());
+
+      // Exports are always JSON, so that they can be read back in
+      return { result: tasks, text: `${ JSON.stringify(tasks, null, 2) }\n` };
+    }
+  },
+
+  cancel: {
+    minArgs: 1,
+    maxArgs: 1,
+    run: async (dt, [taskId]) => {
+      const cancelled = await dt.cancel(taskId);
+      const text = cancelled ? `Cancelled ${ taskId }\n` : `No pending task: ${ taskId }\n`;
+
+      return { result: { cancelled }, text, ok: cancelled };
+    }
+  },
+
+  purge: {
+    minArgs: 0,
+    maxArgs: 0,
+    run: async (dt, args, options) => {
+      // Only with `--all`, so that a purge can't be run by mistake
+      if (!options.all) {
+        throw new UsageError('Give --all to delete every pending task');
+      }
+
+      const purged = await dt.purge();
+
+      return { result: { purged }, text: `Purged ${ purged } task(s)\n` };
+    }
+  },
+
+  reschedule: {
+    minArgs: 2,
+    maxArgs: 2,
+    run: async (dt, [taskId, at]) => {
+      const rescheduled = await dt.reschedule(taskId, parseDate(at));
+
+      if (!rescheduled) {
+        return { result: { rescheduled }, text: `No pending task: ${ taskId }\n`, ok: false };
+      }
+
+      const { due } = await dt.get(taskId);
+
+      return {
+        result: { rescheduled, due },
+        text: `Rescheduled ${ taskId } for ${ formatDate(due) }\n`
+      };
+    }
+  },
+
+  'dead list': {
+    minArgs: 0,
+    maxArgs: 0,
+    run: async (dt, args, options) => {
+      const tasks = await dt.listDeadLetters({
+        offset: parseNumber(options.offset, 0),
+        limit: parseNumber(options.limit, 100)
+      });
+
+      return { result: tasks, text: formatDeadLetters(tasks) };
+    }
+  },
+
+  'dead export': {
+    minArgs: 0,
+    maxArgs: 0,
+    run: async dt => {
+      const tasks = await readAll(offset => dt.listDeadLetters({ offset, limit: exportPageSize }));
+
+      // Exports are always JSON, so that they can be read back in
+      return { result: tasks, text: `${ JSON.stringify(tasks, null, 2) }\n` };
+    }
+  },
+
+  'dead requeue': {
+    minArgs: 0,
+    run: async (dt, taskIds, options) => {
+      const requeued = await dt.requeueDeadLetters(deadLetterIds(taskIds, options));
+
+      return { result: { requeued }, text: `Requeued ${ requeued } dead letter(s)\n` };
+    }
+  },
+
+  'dead purge': {
+    minArgs: 0,
+    run: async (dt, taskIds, options) => {
+      const purged = await dt.purgeDeadLetters(deadLetterIds(taskIds, options));
+
+      return { result: { purged }, text: `Purged ${ purged } dead letter(s)\n` };
+    }
+  }
+
+};
+
+/**
+ * Reads every task, a page of `exportPageSize` at a time, with `readPage`
+ * (given the offset of each page). Pages can come back short, since tasks
+ * that can't be read (like tasks stored by version 2, before they're claimed)
+ * are left out, so pages are read up to `total` tasks if it's given, or until
+ * one comes back empty.
+ */
+async function readAll(readPage, total = Infinity) {
+  const tasks = [];
+
+  for (let offset = 0; offset < total; offset += exportPageSize) {
+    const page = await readPage(offset);
+
+    if (page.length === 0 && total === Infinity) {
+      break;
+    }
+
+    tasks.push(...page);
+  }
+
+  return tasks;
+}
+
+/**
+ * The dead letters to requeue or purge: the given IDs or, with `--all`, every
+ * one (so that leaving the IDs out by mistake doesn't touch them all).
+ */
+function deadLetterIds(taskIds, options) {
+  if (taskIds.length > 0 && options.all) {
+    throw new UsageError('Give either task IDs or --all, not both');
+  } else if (taskIds.length === 0 && !options.all) {
+    throw new UsageError('Give the task IDs, or --all for every dead letter');
+  }
+
+  return options.all ? undefined : taskIds;
+}
+
+/**
+ * Formats epoch milliseconds as an ISO date.
+ */
+function formatDate(time) {
+  return (typeof time === 'number') ? new Date(time).toISOString() : '';
+}
+
+/**
+ * Formats task data for a table, cut short if it's long.
+ */
+function formatData(task) {
+  const data = (task.deserializeError !== undefined) ? `<${ task.deserializeError }>` : JSON.stringify(task.data);
+
+  return (data.length > 60) ? `${ data.slice(0, 59) }…` : data;
+}
+
+/**
+ * Formats pending tasks as a table.
+ */
+function formatTasks(tasks) {
+  return formatTable(['ID', 'DUE', 'TYPE', 'PRIORITY', 'ATTEMPTS', 'DATA'], tasks.map(t => [
+    t.id,
+    formatDate(t.due),
+    t.type,
+    t.priority,
+    t.attempts,
+    formatData(t)
+  ]));
+}
+
+/**
+ * Formats dead letters as a table.
+ */
+function formatDeadLetters(tasks) {
+  return formatTable(['ID', 'FAILED AT', 'ATTEMPTS', 'ERROR', 'DATA'], tasks.map(t => [
+    t.id,
+    formatDate(t.failedAt),
+    t.attempts,
+    t.error,
+    formatData(t)
+  ]));
+}
+
+/**
+ * Formats a single task, one property per line, with its data in full.
+ */
+function formatTask(task) {
+  const fields = Object.assign({}, task, {
+    due: formatDate(task.due),
+    data: JSON.stringify(task.data, null, 2)
+  });
+
+  if (task.next !== undefined) {
+    fields.next = formatDate(task.next);
+  }
+
+  if (task.schedule !== undefined) {
+    fields.schedule = JSON.stringify(task.schedule);
+  }
+
+  return formatFields(fields);
+}
+
+/**
+ * Formats an object, one property per line.
+ */
+function formatFields(fields) {
+  const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+  const width = Math.max(...entries.map(([name]) => name.length));
+
+  return entries
+    .map(([name, value]) => `${ `${ name }:`.padEnd(width + 2) }${ String(value).replace(/\n/g, `\n${ ' '.repeat(width + 2) }`) }\n`)
+    .join('');
+}
+
+/**
+ * Formats rows as a table with a header, leaving out empty values.
+ */
+function formatTable(header, rows) {
+  if (rows.length === 0) {
+    return 'No tasks\n';
+  }
+
+  const cells = [header].concat(rows.map(row => row.map(value => (value === undefined) ? '' : String(value))));
+  const widths = header.map((_, i) => Math.max(...cells.map(row => row[i].length)));
+
+  return cells
+    .map(row => `${ row.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd() }\n`)
+    .join('');
+}
+
+exports.run = run;
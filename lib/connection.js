@@ -0,0 +1,45 @@
+const redis = require('redis');
+
+const { createAdapter } = require('./adapters');
+const { MemoryStore, createMemoryAdapter } = require('./memory');
+
+/**
+ * Sets up the connection for the `redis` setting of a `DelayedTasks` (or
+ * `DelayedTasksManager`) object, which is one of:
+ *
+ * - a supported redis client (see `lib/adapters.js`), which is used as is
+ * - `{ backend: 'memory', store }`, to keep tasks in a `MemoryStore` (the
+ *   default one, unless `store` is given) instead of redis
+ * - any other object, as options for a new node-redis client, whose errors
+ *   are passed to `onError`
+ *
+ * Returns the client, its adapter and whether the client is self-contained
+ * (it was created just for this connection).
+ */
+function createConnection(settings, onError) {
+  const adapter = createAdapter(settings);
+
+  if (settings?.backend === 'memory') {
+    // Tasks are kept in memory instead of redis (see `lib/memory.js`)
+    if (settings.store !== undefined && !(settings.store instanceof MemoryStore)) {
+      throw new TypeError('`store` must be a MemoryStore');
+    }
+
+    const store = settings.store || MemoryStore.default;
+
+    return { client: store, adapter: createMemoryAdapter(store), selfContained: true };
+
+  } else if (adapter !== null) {
+    return { client: settings, adapter, selfContained: false };
+
+  } else if (typeof settings === 'object' && settings !== null) {
+    const client = redis.createClient(settings);
+    client.on('error', onError);
+
+    return { client, adapter: createAdapter(client), selfContained: true };
+  }
+
+  throw new TypeError('Invalid redis connection options');
+}
+
+exports.createConnection = createConnection;
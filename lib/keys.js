@@ -0,0 +1,37 @@
+/**
+ * Builds the redis keys (and pub/sub channel) for a queue. Every key starts
+ * with the same base of `<keyPrefix>:<id>`. With `hashTag` set, the ID is
+ * wrapped in a hash tag (`<keyPrefix>:{<id>}`), so that Redis Cluster puts
+ * all of the queue's keys in the same slot and scripts can use them together.
+ */
+function buildKeys(id, { keyPrefix = 'delayed', hashTag = false } = {}) {
+  const base = `${ keyPrefix }:${ hashTag ? `{${ id }}` : id }`;
+
+  return {
+    pending: base,
+    tasks: `${ base }:tasks`,
+    processing: `${ base }:processing`,
+    dead: `${ base }:dead`,
+    deadTasks: `${ base }:dead:tasks`,
+    recurring: `${ base }:recurring`,
+    wakeup: `${ base }:wakeup`
+  };
+}
+
+/**
+ * The last parts of a queue's other keys. A queue ID ending in one of them
+ * (after a `:`) would have its keys overlap another queue's: the pending key
+ * of queue `x:tasks`, for example, is queue `x`'s task hash.
+ */
+const reservedSuffixes = ['tasks', 'processing', 'dead', 'recurring', 'wakeup'];
+
+/**
+ * Checks whether a queue ID's keys could overlap another queue's (see
+ * `reservedSuffixes`).
+ */
+function isReservedId(id) {
+  return reservedSuffixes.includes(id.slice(id.lastIndexOf(':') + 1));
+}
+
+exports.buildKeys = buildKeys;
+exports.isReservedId = isReservedId;
@@ -0,0 +1,343 @@
+const EventEmitter = require('events');
+
+const scripts = require('./scripts');
+const { createConnection } = require('./connection');
+
+/**
+ * Runs many queues over one connection. Queues are created (or looked up) by
+ * ID, and are polled together in one scheduled loop, which claims tasks for
+ * all of them in a single round trip to redis.
+ */
+class DelayedTasksManager extends EventEmitter {
+
+  constructor(settings) {
+    super();
+
+    if (typeof settings !== 'object') {
+      throw new TypeError('No constructor settings specified');
+    }
+
+    // The connection shared by every queue (see `lib/connection.js`)
+    const connection = createConnection(settings.redis, error => this.emit('redisError', error));
+    this.redisClient = connection.client;
+    this.redisAdapter = connection.adapter;
+    this.selfContainedResis = connection.selfContained;
+
+    // What each queue is given as its `redis` setting: the same client or,
+    // with the memory backend, the same store
+    if (settings.redis?.backend === 'memory') {
+      this.queueRedis = { backend: 'memory', store: this.redisClient };
+    } else {
+      this.queueRedis = this.redisClient;
+    }
+
+    // Force a settings object
+    settings.options = settings.options || {};
+
+    // Poll Interval - how often to poll every queue (Default: 1000ms)
+    if (typeof settings.options.pollIntervalMs === 'number' && settings.options.pollIntervalMs > 0) {
+      this.pollIntervalMs = settings.options.pollIntervalMs;
+    } else {
+      this.pollIntervalMs = 1000;
+    }
+
+    // Default options for every queue (Default: none)
+    if (typeof settings.defaults === 'object' && settings.defaults !== null) {
+      this.defaults = settings.defaults;
+    } else {
+      this.defaults = {};
+    }
+
+    // `DelayedTasks` objects by queue ID
+    this.queues = new Map();
+
+    // Set between `start()` and `stop()`, while draining and once closed
+    this.polling = false;
+    this.draining = false;
+    this.closed = false;
+
+    // The timer for the next scheduled poll, the promise for the scheduled
+    // poll that's running and the promise for the poll that's running, which
+    // any other call to `poll()` joins
+    this.pollTimeoutId = null;
+    this.scheduledPoll = null;
+    this.currentPoll = null;
+  }
+
+  connect() {
+    if (!this.redisAdapter.isReady()) {
+      return this.redisAdapter.connect()
+        .then(() => this.emit('ready'));
+
+    } else {
+      // Already connected -- nothing to do and no failure
+      this.emit('ready');
+      return Promise.resolve();
+    }
+  }
+
+  /**
+   * Returns the queue with the given ID, creating it (with the same
+   * `callback` and `options` as a `DelayedTasks` object, on top of
+   * `defaults`) if it doesn't exist yet. The settings of a queue that already
+   * exists are left as they are.
+   */
+  queue(id, { callback, options } = {}) {
+    if (this.queues.has(id)) {
+      return this.queues.get(id);
+    }
+
+    // Required here, since `index.js` requires this module
+    const { DelayedTasks } = require('../index');
+
+    const dt = new DelayedTasks({
+      id,
+      redis: this.queueRedis,
+      callback,
+      options: Object.assign({}, this.defaults, options)
+    });
+
+    this.queues.set(id, dt);
+
+    return dt;
+  }
+
+  /**
+   * Closes a queue (see `DelayedTasks.close()`) and stops managing it.
+   * Resolves to `true` if the queue was removed, or `false` if it doesn't
+   * exist.
+   */
+  async remove(id, options) {
+    const dt = this.queues.get(id);
+    if (dt === undefined) {
+      return false;
+    }
+
+    this.queues.delete(id);
+    await dt.close(options);
+
+    return true;
+  }
+
+  /**
+   * Whether polls are being scheduled: `polling` (between `start()` and
+   * `stop()`), `stopped`, `draining` (see `drain()`) or `closed`.
+   */
+  get state() {
+    if (this.polling) {
+      return 'polling';
+    } else if (this.closed) {
+      return 'closed';
+    } else if (this.draining) {
+      return 'draining';
+    }
+
+    return 'stopped';
+  }
+
+  /**
+   * Whether polls are being scheduled (see `state`).
+   */
+  get isPolling() {
+    return this.polling;
+  }
+
+  /**
+   * Starts polling every queue. Like `DelayedTasks.start()`, each poll is
+   * scheduled once the one before it has finished, and starting again while
+   * already polling does nothing. Errors from polling a queue are emitted as
+   * `pollError` on that queue.
+   */
+  start() {
+    if (this.polling) {
+      return true;
+    } else if (!this.redisAdapter.isReady()) {
+      return false;
+    }
+
+    // Queues that were drained along with the manager claim tasks again
+    this.queues.forEach(dt => {
+      dt.draining = false;
+    });
+
+    this.draining = false;
+    this.closed = false;
+    this.polling = true;
+
+    this.schedulePoll(this.pollIntervalMs);
+
+    return true;
+  }
+
+  /**
+   * Stops polling. Resolves once any poll that's already running has
+   * finished.
+   */
+  stop() {
+    this.polling = false;
+
+    clearTimeout(this.pollTimeoutId);
+    this.pollTimeoutId = null;
+
+    const waits = [this.currentPoll, this.scheduledPoll]
+      .filter(p => p !== null)
+      .map(p => p.catch(() => {}));
+
+    return Promise.all(waits).then(() => {});
+  }
+
+  /**
+   * Schedules the next poll.
+   */
+  schedulePoll(delayMs) {
+    clearTimeout(this.pollTimeoutId);
+
+    this.pollTimeoutId = setTimeout(() => {
+      this.pollTimeoutId = null;
+
+      const p = this.runScheduledPoll();
+      this.scheduledPoll = p;
+      p.then(() => {
+        if (this.scheduledPoll === p) {
+          this.scheduledPoll = null;
+        }
+      });
+    }, delayMs);
+  }
+
+  /**
+   * Polls, then schedules the next poll `pollIntervalMs` after this one
+   * started.
+   */
+  async runScheduledPoll() {
+    const polledAt = new Date().getTime();
+
+    await this.poll();
+
+    // Stopped while polling
+    if (!this.polling) {
+      return;
+    }
+
+    this.schedulePoll(Math.max(0, polledAt + this.pollIntervalMs - new Date().getTime()));
+  }
+
+  /**
+   * Polls every queue, resolving to the number of tasks claimed for each, by
+   * queue ID. Errors from polling a queue are emitted as `pollError` on that
+   * queue. If a poll is already running, this joins it instead of starting
+   * another. While draining, nothing is claimed.
+   */
+  poll() {
+    if (this.currentPoll === null) {
+      this.currentPoll = this.pollQueues().finally(() => {
+        this.currentPoll = null;
+      });
+    }
+
+    return this.currentPoll;
+  }
+
+  /**
+   * Polls every queue, claiming their tasks with one script. In Redis
+   * Cluster, a hash-tagged queue's keys are in a slot of their own, so each
+   * hash-tagged queue is claimed for with a script of its own.
+   */
+  async pollQueues() {
+    const queues = this.draining ? [] : [...this.queues.values()];
+
+    // Claims by the script they're part of, filled in as each queue polls
+    // (see `DelayedTasks.pollWith()`)
+    const batches = new Map();
+
+    const polls = queues.map(dt => dt.pollWith(args => new Promise((resolve, reject) => {
+      const batch = dt.hashTag ? dt.redisKey : null;
+
+      if (!batches.has(batch)) {
+        batches.set(batch, []);
+      }
+
+      batches.get(batch).push({ dt, args, resolve, reject });
+    })));
+
+    batches.forEach(claims => this.claimBatch(claims));
+
+    const results = await Promise.allSettled(polls);
+    const claimed = {};
+
+    results.forEach(({ status, value, reason }, i) => {
+      if (status === 'rejected') {
+        queues[i].emit('pollError', reason);
+      }
+
+      claimed[queues[i].id] = (status === 'fulfilled') ? value : 0;
+    });
+
+    return claimed;
+  }
+
+  /**
+   * Claims tasks for several queues with one script, settling each queue's
+   * claim with its tasks.
+   */
+  claimBatch(claims) {
+    const keys = [].concat(...claims.map(({ dt }) => dt.scriptKeys()));
+    const args = [].concat(...claims.map(claim => claim.args));
+
+    this.redisAdapter.eval(scripts.claimMany, keys, args).then(
+      claimed => claims.forEach(({ resolve }, i) => resolve(claimed[i])),
+      error => claims.forEach(({ reject }) => reject(error))
+    );
+  }
+
+  /**
+   * Stops polling and drains every queue (see `DelayedTasks.drain()`, which
+   * takes the same `options`). Resolves to `true` if every queue finished, or
+   * `false` otherwise.
+   */
+  async drain(options) {
+    checkDrainOptions(options);
+
+    this.draining = true;
+    await this.stop();
+
+    const finished = await Promise.all([...this.queues.values()].map(dt => dt.drain(options)));
+
+    return finished.every(f => f);
+  }
+
+  /**
+   * Stops polling and closes every queue (see `DelayedTasks.close()`, which
+   * takes the same `options`). If the redis instance is self contained (it was
+   * created, just for this manager), it will be deleted.
+   */
+  async close(options) {
+    checkDrainOptions(options);
+
+    this.draining = true;
+    await this.stop();
+
+    await Promise.all([...this.queues.values()].map(dt => dt.close(options)));
+
+    if (this.selfContainedResis && this.redisAdapter.isReady()) {
+      await this.redisAdapter.disconnect();
+      this.redisClient = null;
+    }
+
+    this.closed = true;
+    this.emit('closed');
+  }
+
+}
+
+/**
+ * Checks the options for `drain()` and `close()` before anything is stopped,
+ * as each queue does.
+ */
+function checkDrainOptions({ timeoutMs = Infinity } = {}) {
+  if (typeof timeoutMs !== 'number' || !(timeoutMs >= 0)) {
+    throw new TypeError('`timeoutMs` must be a non-negative number');
+  }
+}
+
+exports.DelayedTasksManager = DelayedTasksManager;
@@ -0,0 +1,717 @@
+const EventEmitter = require('events');
+
+const scripts = require('./scripts');
+
+/**
+ * An in-memory stand-in for redis, for tests and local development. It holds
+ * the same sorted sets and hashes that a queue keeps in redis, and runs a
+ * JavaScript version of each of the Lua scripts in `lib/scripts.js`. Like
+ * the scripts, each operation runs synchronously from start to finish, so
+ * it's atomic with respect to every other operation on the store.
+ *
+ * Every `DelayedTasks` object using the same store shares its queues, like
+ * workers sharing a redis server, so a store is only ever shared within a
+ * single process.
+ */
+class MemoryStore {
+
+  constructor() {
+    // Values by key: a `Map` of member to score for sorted sets, or of field
+    // to value for hashes
+    this.keys = new Map();
+
+    // Pub/sub channels
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+  }
+
+  /**
+   * Gets the value at a key, creating it if needed.
+   */
+  value(key) {
+    if (!this.keys.has(key)) {
+      this.keys.set(key, new Map());
+    }
+
+    return this.keys.get(key);
+  }
+
+  /**
+   * Deletes keys that have become empty, like redis does.
+   */
+  prune(key) {
+    if (this.keys.get(key)?.size === 0) {
+      this.keys.delete(key);
+    }
+  }
+
+  /**
+   * Deletes every key.
+   */
+  flush() {
+    this.keys.clear();
+  }
+
+  zadd(key, score, member) {
+    this.value(key).set(member, Number(score));
+  }
+
+  zrem(key, member) {
+    const removed = this.keys.get(key)?.delete(member) ? 1 : 0;
+    this.prune(key);
+
+    return removed;
+  }
+
+  zscore(key, member) {
+    const score = this.keys.get(key)?.get(member);
+
+    return (score === undefined) ? null : score;
+  }
+
+  zcard(key) {
+    return this.keys.get(key)?.size || 0;
+  }
+
+  /**
+   * Gets the members of a sorted set as `[member, score]` pairs, ordered by
+   * score and then by member.
+   */
+  zentries(key) {
+    return [...(this.keys.get(key) || [])]
+      .sort(([a, aScore], [b, bScore]) => (aScore - bScore) || ((a < b) ? -1 : (a > b) ? 1 : 0));
+  }
+
+  /**
+   * Gets members with scores between `min` and `max` (inclusive, and either
+   * may be `-inf` or `+inf`), skipping `offset` and returning at most `count`
+   * (or all of them, if `count` is negative).
+   */
+  zrangebyscore(key, min, max, offset = 0, count = -1) {
+    const matching = this.zentries(key)
+      .filter(([, score]) => score >= parseScore(min) && score <= parseScore(max))
+      .map(([member]) => member);
+
+    return matching.slice(offset, (count < 0) ? undefined : offset + count);
+  }
+
+  /**
+   * Gets members by rank, from `start` to `stop` (inclusive, and negative
+   * indexes count from the end).
+   */
+  zrange(key, start, stop) {
+    const members = this.zentries(key).map(([member]) => member);
+    const end = (stop < 0) ? members.length + stop : stop;
+
+    return members.slice((start < 0) ? Math.max(0, members.length + start) : start, end + 1);
+  }
+
+  hget(key, field) {
+    const value = this.keys.get(key)?.get(field);
+
+    return (value === undefined) ? null : value;
+  }
+
+  hset(key, field, value) {
+    this.value(key).set(field, String(value));
+  }
+
+  hdel(key, field) {
+    this.keys.get(key)?.delete(field);
+    this.prune(key);
+  }
+
+  hexists(key, field) {
+    return this.keys.get(key)?.has(field) || false;
+  }
+
+  hvals(key) {
+    return [...(this.keys.get(key)?.values() || [])];
+  }
+
+  del(key) {
+    this.keys.delete(key);
+  }
+
+  /**
+   * Publishes a message to a channel. Like redis, subscribers are told after
+   * the operation that published it has finished.
+   */
+  publish(channel, message) {
+    setImmediate(() => this.channels.emit(channel, String(message)));
+  }
+
+  /**
+   * Calls `listener` with each message published to a channel. Returns a
+   * function that unsubscribes.
+   */
+  subscribe(channel, listener) {
+    this.channels.on(channel, listener);
+
+    return () => this.channels.off(channel, listener);
+  }
+
+}
+
+/**
+ * Parses a sorted set score range bound.
+ */
+function parseScore(score) {
+  if (score === '-inf') {
+    return -Infinity;
+  } else if (score === '+inf') {
+    return Infinity;
+  }
+
+  return Number(score);
+}
+
+/**
+ * Builds the ID of a recurring schedule's run.
+ */
+function runId(name, due) {
+  return `recurring:${ name }:${ Math.round(due) }`;
+}
+
+/**
+ * Releases an in-flight task's lease (see `releaseLease` in
+ * `lib/scripts.js`).
+ */
+function releaseLease(store, keys, taskId, lease) {
+  const expiry = store.zscore(keys.processing, taskId);
+
+  if (expiry === null || (lease !== undefined && expiry !== lease)) {
+    return false;
+  }
+
+  store.zrem(keys.processing, taskId);
+
+  return true;
+}
+
+/**
+ * Publishes a task's due time if it's now the earliest pending task (see
+ * `notify` in `lib/scripts.js`).
+ */
+function notify(store, keys, taskId, due) {
+  if (store.zrange(keys.pending, 0, 0)[0] === taskId) {
+    store.publish(keys.wakeup, due);
+  }
+}
+
+/**
+ * JavaScript versions of the scripts in `lib/scripts.js`, by name. Each takes
+ * the store, the queue's keys and the script's arguments (and, for scripts run
+ * for several queues, every queue's keys), and returns what the script would:
+ * stored tasks as strings, numbers as integers and Lua's `nil` (or `false`) as
+ * `null`. See the scripts for what each one does.
+ */
+const operations = {
+
+  add(store, keys, [taskId, due, task]) {
+    store.hset(keys.tasks, taskId, task);
+    store.zadd(keys.pending, due, taskId);
+    notify(store, keys, taskId, due);
+
+    return 1;
+  },
+
+  addKeyed(store, keys, [taskId, due, task, mode]) {
+    if (mode !== 'replace' && store.hexists(keys.tasks, taskId)) {
+      return 0;
+    }
+
+    store.hset(keys.tasks, taskId, task);
+    store.zadd(keys.pending, due, taskId);
+    notify(store, keys, taskId, due);
+
+    return 1;
+  },
+
+  cancel(store, keys, [taskId]) {
+    if (store.zrem(keys.pending, taskId) === 0) {
+      return 0;
+    }
+
+    store.hdel(keys.tasks, taskId);
+
+    return 1;
+  },
+
+  purge(store, keys) {
+    let purged = 0;
+
+    for (const taskId of store.zrange(keys.pending, 0, -1)) {
+      if (!taskId.startsWith('recurring:')) {
+        store.zrem(keys.pending, taskId);
+        store.hdel(keys.tasks, taskId);
+        purged++;
+      }
+    }
+
+    return purged;
+  },
+
+  reschedule(store, keys, [taskId, due]) {
+    if (store.zscore(keys.pending, taskId) === null) {
+      return 0;
+    }
+
+    const task = JSON.parse(store.hget(keys.tasks, taskId));
+    task.due = Number(due);
+
+    store.hset(keys.tasks, taskId, JSON.stringify(task));
+    store.zadd(keys.pending, due, taskId);
+    notify(store, keys, taskId, due);
+
+    return 1;
+  },
+
+  update(store, keys, [taskId, data]) {
+    if (store.zscore(keys.pending, taskId) === null) {
+      return 0;
+    }
+
+    const task = JSON.parse(store.hget(keys.tasks, taskId));
+    task.data = data;
+    delete task.legacy;
+
+    store.hset(keys.tasks, taskId, JSON.stringify(task));
+
+    return 1;
+  },
+
+  ack(store, keys, [taskId, lease]) {
+    if (!releaseLease(store, keys, taskId, (lease === undefined) ? undefined : Number(lease))) {
+      return 0;
+    }
+
+    if (store.zscore(keys.pending, taskId) === null) {
+      store.hdel(keys.tasks, taskId);
+    }
+
+    return 1;
+  },
+
+  release(store, keys, leases) {
+    let released = 0;
+
+    for (let i = 0; i < leases.length; i += 2) {
+      const taskId = leases[i];
+
+      if (releaseLease(store, keys, taskId, Number(leases[i + 1]))) {
+        const task = store.hget(keys.tasks, taskId);
+
+        if (task !== null) {
+          const { due } = JSON.parse(task);
+
+          store.zadd(keys.pending, due, taskId);
+          notify(store, keys, taskId, due);
+          released++;
+        }
+      }
+    }
+
+    return released;
+  },
+
+  claim(store, keys, [now, limit, leaseExpiry, window]) {
+    const reliable = String(leaseExpiry) !== '0';
+
+    if (reliable) {
+      for (const taskId of store.zrangebyscore(keys.processing, '-inf', now)) {
+        store.zrem(keys.processing, taskId);
+
+        const task = store.hget(keys.tasks, taskId);
+        if (task !== null) {
+          store.zadd(keys.pending, JSON.parse(task).due, taskId);
+        }
+      }
+    }
+
+    const candidates = [];
+
+    store.zrangebyscore(keys.pending, '-inf', now, 0, Number(window)).forEach((member, order) => {
+      let taskId = member;
+      let task = store.hget(keys.tasks, taskId);
+
+      if (task === null && taskId.startsWith('{')) {
+        const upgraded = upgradeLegacyTask(store, keys, taskId);
+
+        if (upgraded !== null) {
+          ({ taskId, task } = upgraded);
+        }
+      }
+
+      if (task !== null) {
+        candidates.push({ taskId, task, priority: JSON.parse(task).priority || 0, order });
+      } else {
+        store.zrem(keys.pending, taskId);
+      }
+    });
+
+    candidates.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+
+    const claimed = (Number(limit) < 0) ? candidates : candidates.slice(0, Number(limit));
+
+    for (const { taskId, task } of claimed) {
+      store.zrem(keys.pending, taskId);
+
+      if (taskId.startsWith('recurring:')) {
+        scheduleNextRun(store, keys, task, Number(now));
+      }
+
+      if (reliable) {
+        store.zadd(keys.processing, leaseExpiry, taskId);
+      } else {
+        store.hdel(keys.tasks, taskId);
+      }
+    }
+
+    return claimed.map(({ task }) => task);
+  },
+
+  claimMany(store, keys, args, queues) {
+    return queues.map((queueKeys, i) => operations.claim(store, queueKeys, args.slice(i * 4, i * 4 + 4)));
+  },
+
+  retry(store, keys, [taskId, due, task, lease]) {
+    if (String(lease) !== '0' && !releaseLease(store, keys, taskId, Number(lease))) {
+      return 0;
+    }
+
+    if (store.zscore(keys.pending, taskId) !== null) {
+      return 1;
+    }
+
+    store.hset(keys.tasks, taskId, task);
+    store.zadd(keys.pending, due, taskId);
+    notify(store, keys, taskId, due);
+
+    return 1;
+  },
+
+  deadLetter(store, keys, [taskId, failedAt, task, lease]) {
+    if (String(lease) !== '0') {
+      if (!releaseLease(store, keys, taskId, Number(lease))) {
+        return 0;
+      }
+
+      if (store.zscore(keys.pending, taskId) === null) {
+        store.hdel(keys.tasks, taskId);
+      }
+    }
+
+    store.hset(keys.deadTasks, taskId, task);
+    store.zadd(keys.dead, failedAt, taskId);
+
+    return 1;
+  },
+
+  listDead(store, keys, [start, stop]) {
+    return store.zrange(keys.dead, Number(start), Number(stop))
+      .map(taskId => store.hget(keys.deadTasks, taskId));
+  },
+
+  requeueDead(store, keys, [due, ...taskIds]) {
+    if (taskIds.length === 0) {
+      taskIds = store.zrange(keys.dead, 0, -1);
+    }
+
+    let requeued = 0;
+
+    for (const taskId of taskIds) {
+      const stored = store.hget(keys.deadTasks, taskId);
+
+      if (stored !== null && !store.hexists(keys.tasks, taskId)) {
+        const task = JSON.parse(stored);
+        task.due = Number(due);
+        delete task.attempts;
+        delete task.error;
+        delete task.failedAt;
+
+        store.zrem(keys.dead, taskId);
+        store.hdel(keys.deadTasks, taskId);
+        store.hset(keys.tasks, taskId, JSON.stringify(task));
+        store.zadd(keys.pending, due, taskId);
+        notify(store, keys, taskId, due);
+
+        requeued++;
+      }
+    }
+
+    return requeued;
+  },
+
+  purgeDead(store, keys, taskIds) {
+    if (taskIds.length === 0) {
+      const purged = store.zcard(keys.dead);
+      store.del(keys.dead);
+      store.del(keys.deadTasks);
+
+      return purged;
+    }
+
+    let purged = 0;
+
+    for (const taskId of taskIds) {
+      purged += store.zrem(keys.dead, taskId);
+      store.hdel(keys.deadTasks, taskId);
+    }
+
+    return purged;
+  },
+
+  addRecurring(store, keys, [name, stored, first]) {
+    const schedule = JSON.parse(stored);
+    const task = JSON.parse(first);
+    let existing = store.hget(keys.recurring, name);
+
+    if (existing !== null) {
+      existing = JSON.parse(existing);
+
+      if (existing.pending && store.zscore(keys.pending, existing.pending) !== null) {
+        const a = existing.schedule;
+        const b = schedule.schedule;
+
+        if (existing.fingerprint === schedule.fingerprint && existing.type === schedule.type && existing.priority === schedule.priority && a.cron === b.cron && a.tz === b.tz && a.everyMs === b.everyMs) {
+          return existing.pending;
+        }
+
+        store.zrem(keys.pending, existing.pending);
+        store.hdel(keys.tasks, existing.pending);
+      }
+    }
+
+    schedule.pending = task.id;
+
+    store.hset(keys.recurring, name, JSON.stringify(schedule));
+    store.hset(keys.tasks, task.id, first);
+    store.zadd(keys.pending, task.due, task.id);
+    notify(store, keys, task.id, task.due);
+
+    return task.id;
+  },
+
+  advanceRecurring(store, keys, [name, claimedId, nextDue, following]) {
+    const stored = store.hget(keys.recurring, name);
+    if (stored === null) {
+      return 0;
+    }
+
+    const schedule = JSON.parse(stored);
+    const nextId = runId(name, Number(nextDue));
+
+    if (schedule.pending === claimedId) {
+      const nextTask = {
+        id: nextId,
+        due: Number(nextDue),
+        data: schedule.data,
+        type: schedule.type,
+        priority: schedule.priority,
+        recurring: name,
+        schedule: schedule.schedule,
+        next: Number(following)
+      };
+
+      store.hset(keys.tasks, nextId, JSON.stringify(nextTask));
+      store.zadd(keys.pending, nextDue, nextId);
+
+      schedule.pending = nextId;
+      store.hset(keys.recurring, name, JSON.stringify(schedule));
+
+      return 1;
+    }
+
+    if (schedule.pending === nextId) {
+      const next = store.hget(keys.tasks, nextId);
+
+      if (next !== null) {
+        const task = JSON.parse(next);
+
+        if (!task.next) {
+          task.next = Number(following);
+          store.hset(keys.tasks, nextId, JSON.stringify(task));
+
+          return 1;
+        }
+      }
+    }
+
+    return 0;
+  },
+
+  removeRecurring(store, keys, [name]) {
+    const stored = store.hget(keys.recurring, name);
+    if (stored === null) {
+      return 0;
+    }
+
+    const schedule = JSON.parse(stored);
+
+    if (schedule.pending && store.zrem(keys.pending, schedule.pending) === 1) {
+      store.hdel(keys.tasks, schedule.pending);
+    }
+
+    store.hdel(keys.recurring, name);
+
+    return 1;
+  },
+
+  listRecurring(store, keys) {
+    const result = [];
+
+    for (const stored of store.hvals(keys.recurring)) {
+      const { pending } = JSON.parse(stored);
+      const due = pending ? store.zscore(keys.pending, pending) : null;
+
+      result.push(stored, (due === null) ? null : String(due));
+    }
+
+    return result;
+  },
+
+  count(store, keys, [max]) {
+    return store.zrangebyscore(keys.pending, '-inf', max).length;
+  },
+
+  list(store, keys, [min, max, offset, limit]) {
+    return store.zrangebyscore(keys.pending, min, max, Number(offset), Number(limit))
+      .map(taskId => store.hget(keys.tasks, taskId));
+  },
+
+  get(store, keys, [taskId]) {
+    return store.hget(keys.tasks, taskId);
+  },
+
+  earliestDue(store, keys) {
+    const [earliest] = store.zentries(keys.pending);
+
+    return (earliest === undefined) ? null : String(earliest[1]);
+  },
+
+  nextDue(store, keys) {
+    const times = [keys.pending, keys.processing]
+      .map(key => store.zentries(key)[0])
+      .filter(first => first !== undefined)
+      .map(([, score]) => score);
+
+    return (times.length === 0) ? null : String(Math.min(...times));
+  }
+
+};
+
+/**
+ * Schedules the run after a claimed recurring run (see `claim` in
+ * `lib/scripts.js`).
+ */
+function scheduleNextRun(store, keys, stored, now) {
+  const task = JSON.parse(stored);
+  if (!task.recurring || !task.next || task.next <= now) {
+    return;
+  }
+
+  const schedule = store.hget(keys.recurring, task.recurring);
+  if (schedule === null) {
+    return;
+  }
+
+  const parsed = JSON.parse(schedule);
+  if (parsed.pending !== task.id) {
+    return;
+  }
+
+  const nextTask = {
+    id: runId(task.recurring, task.next),
+    due: task.next,
+    data: parsed.data,
+    type: parsed.type,
+    priority: parsed.priority,
+    recurring: task.recurring,
+    schedule: parsed.schedule
+  };
+
+  store.hset(keys.tasks, nextTask.id, JSON.stringify(nextTask));
+  store.zadd(keys.pending, nextTask.due, nextTask.id);
+
+  parsed.pending = nextTask.id;
+  store.hset(keys.recurring, task.recurring, JSON.stringify(parsed));
+}
+
+/**
+ * Moves a task stored by version 2 (as the whole JSON of its ID, due time and
+ * data, in the pending ZSET) to the hash under its ID (see `claim` in
+ * `lib/scripts.js`). Returns its ID and stored task, or `null` if `member`
+ * isn't such a task.
+ */
+function upgradeLegacyTask(store, keys, member) {
+  let legacy;
+
+  try {
+    legacy = JSON.parse(member);
+  } catch (error) {
+    return null;
+  }
+
+  if (typeof legacy !== 'object' || legacy === null || typeof legacy.id !== 'string') {
+    return null;
+  }
+
+  const due = store.zscore(keys.pending, member);
+  const task = JSON.stringify({ id: legacy.id, due, data: member, legacy: true });
+
+  store.zrem(keys.pending, member);
+  store.hset(keys.tasks, legacy.id, task);
+  store.zadd(keys.pending, due, legacy.id);
+
+  return { taskId: legacy.id, task };
+}
+
+// Operations by the script they stand in for
+const operationsByScript = new Map(
+  Object.entries(scripts).map(([name, script]) => [script, operations[name]])
+);
+
+/**
+ * The store used by every memory backend that isn't given its own.
+ */
+MemoryStore.default = new MemoryStore();
+
+/**
+ * Creates an adapter (see `lib/adapters.js`) that runs scripts against a
+ * memory store instead of redis. There's nothing to connect to, so it's
+ * always ready.
+ */
+function createMemoryAdapter(store) {
+  return {
+    isReady: () => true,
+
+    connect: () => Promise.resolve(),
+
+    disconnect: () => Promise.resolve(),
+
+    eval: async (script, keys, args) => {
+      const operation = operationsByScript.get(script);
+
+      /* istanbul ignore next */
+      if (operation === undefined) {
+        throw new Error('Script is not supported by the memory backend');
+      }
+
+      // Scripts for several queues at once (like `claimMany`) are passed each
+      // queue's keys as well
+      const queues = [];
+      for (let i = 0; i < keys.length; i += 7) {
+        const [pending, tasks, processing, dead, deadTasks, recurring, wakeup] = keys.slice(i, i + 7);
+        queues.push({ pending, tasks, processing, dead, deadTasks, recurring, wakeup });
+      }
+
+      return operation(store, queues[0], args, queues);
+    },
+
+    subscribe: async (channel, listener) => store.subscribe(channel, listener)
+  };
+}
+
+exports.MemoryStore = MemoryStore;
+exports.createMemoryAdapter = createMemoryAdapter;
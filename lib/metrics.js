@@ -0,0 +1,292 @@
+/**
+ * Default histogram buckets (in seconds) for how long polls take.
+ */
+const POLL_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Default histogram buckets (in seconds) for how late tasks are claimed.
+ */
+const LAG_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 300, 600];
+
+/**
+ * Counters kept for each queue, with their Prometheus help text.
+ */
+const COUNTERS = {
+  added: 'Tasks added.',
+  claimed: 'Tasks claimed by a poll, including those that expired.',
+  completed: 'Tasks whose callback succeeded.',
+  failed: 'Tasks whose callback failed.',
+  retried: 'Failed tasks that will be retried.',
+  conflicts: 'Tasks whose lease ran out before they finished.',
+  expired: 'Tasks that were too late to be handled when they were claimed.'
+};
+
+/**
+ * Collects metrics from `DelayedTasks` objects by listening to their events,
+ * and renders them per queue ID, either in the Prometheus text exposition
+ * format or as a plain object.
+ */
+class MetricsCollector {
+
+  constructor(options) {
+    options = options || {};
+
+    // Histogram buckets, in seconds (Default: see above)
+    this.pollDurationBuckets = parseBuckets(options.pollDurationBuckets) || POLL_DURATION_BUCKETS;
+    this.lagBuckets = parseBuckets(options.lagBuckets) || LAG_BUCKETS;
+
+    // Metrics by queue ID
+    this.queues = new Map();
+
+    // Event listeners by watched `DelayedTasks` object
+    this.listeners = new Map();
+  }
+
+  /**
+   * Starts collecting metrics from a `DelayedTasks` object. Objects with the
+   * same queue ID are counted together.
+   */
+  watch(dt) {
+    if (this.listeners.has(dt)) {
+      return this;
+    }
+
+    const queue = this.queue(dt.id);
+    queue.sources.add(dt);
+
+    const listeners = {
+      added: () => queue.added++,
+      claimed: task => {
+        queue.claimed++;
+        observe(queue.lag, Math.max(0, new Date().getTime() - task.due) / 1000);
+      },
+      completed: () => queue.completed++,
+      failed: task => {
+        queue.failed++;
+
+        if (task.attempts < dt.retry.maxAttempts) {
+          queue.retried++;
+        }
+      },
+      conflict: () => queue.conflicts++,
+      expired: () => queue.expired++,
+      polled: ({ durationMs }) => observe(queue.pollDuration, durationMs / 1000)
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      dt.on(event, listener);
+    }
+
+    this.listeners.set(dt, listeners);
+
+    return this;
+  }
+
+  /**
+   * Stops collecting metrics from a `DelayedTasks` object. Metrics already
+   * collected are kept.
+   */
+  unwatch(dt) {
+    const listeners = this.listeners.get(dt);
+    if (listeners === undefined) {
+      return this;
+    }
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      dt.off(event, listener);
+    }
+
+    this.listeners.delete(dt);
+    this.queues.get(dt.id).sources.delete(dt);
+
+    return this;
+  }
+
+  /**
+   * Gets (or creates) the metrics for a queue ID.
+   */
+  queue(id) {
+    if (!this.queues.has(id)) {
+      const queue = {
+        sources: new Set(),
+        pollDuration: histogram(this.pollDurationBuckets),
+        lag: histogram(this.lagBuckets)
+      };
+
+      Object.keys(COUNTERS).forEach(name => queue[name] = 0);
+
+      this.queues.set(id, queue);
+    }
+
+    return this.queues.get(id);
+  }
+
+  /**
+   * Builds a plain object of every queue's metrics, keyed by queue ID. The
+   * current size of each queue is read from redis, using one of the objects
+   * being watched for that queue.
+   */
+  async snapshot() {
+    const snapshot = {};
+
+    for (const [id, queue] of this.queues) {
+      const metrics = {};
+
+      Object.keys(COUNTERS).forEach(name => metrics[name] = queue[name]);
+
+      const [dt] = queue.sources;
+      if (dt !== undefined) {
+        const [pending, due, lagMs] = await Promise.all([dt.count(), dt.countDue(), dt.lag()]);
+        Object.assign(metrics, { pending, due, lagMs });
+      }
+
+      metrics.pollDuration = snapshotHistogram(queue.pollDuration);
+      metrics.claimLag = snapshotHistogram(queue.lag);
+
+      snapshot[id] = metrics;
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Renders every queue's metrics in the Prometheus text exposition format.
+   */
+  async render() {
+    const snapshot = await this.snapshot();
+    const ids = Object.keys(snapshot);
+    const lines = [];
+
+    const family = (name, type, help, samples) => {
+      if (samples.length === 0) {
+        return;
+      }
+
+      lines.push(`# HELP ${ name } ${ help }`);
+      lines.push(`# TYPE ${ name } ${ type }`);
+      lines.push(...samples);
+    };
+
+    for (const [counter, help] of Object.entries(COUNTERS)) {
+      const name = `delayed_tasks_${ counter }_total`;
+      family(name, 'counter', help, ids.map(id => sample(name, { queue: id }, snapshot[id][counter])));
+    }
+
+    const gauges = [
+      ['pending', 'Pending tasks, whether or not they are due.', m => m.pending],
+      ['due', 'Pending tasks that are due.', m => m.due],
+      ['lag_seconds', 'How long the earliest pending task has been due.', m => m.lagMs / 1000]
+    ];
+
+    for (const [gauge, help, value] of gauges) {
+      const name = `delayed_tasks_${ gauge }`;
+      const samples = ids
+        .filter(id => snapshot[id].pending !== undefined)
+        .map(id => sample(name, { queue: id }, value(snapshot[id])));
+
+      family(name, 'gauge', help, samples);
+    }
+
+    const histograms = [
+      ['poll_duration_seconds', 'How long polls take.', 'pollDuration'],
+      ['claim_lag_seconds', 'How long tasks had been due when they were claimed.', 'claimLag']
+    ];
+
+    for (const [histogram, help, key] of histograms) {
+      const name = `delayed_tasks_${ histogram }`;
+      const samples = [];
+
+      for (const id of ids) {
+        const { buckets, sum, count } = snapshot[id][key];
+
+        for (const bucket of buckets) {
+          samples.push(sample(`${ name }_bucket`, { queue: id, le: bucket.le }, bucket.count));
+        }
+
+        samples.push(sample(`${ name }_sum`, { queue: id }, sum));
+        samples.push(sample(`${ name }_count`, { queue: id }, count));
+      }
+
+      family(name, 'histogram', help, samples);
+    }
+
+    return (lines.length === 0) ? '' : lines.join('\n') + '\n';
+  }
+
+}
+
+/**
+ * Checks histogram buckets, returning them sorted or `null` if they're
+ * invalid.
+ */
+function parseBuckets(buckets) {
+  if (!Array.isArray(buckets) || buckets.length === 0 || buckets.some(b => typeof b !== 'number' || !(b > 0) || b === Infinity)) {
+    return null;
+  }
+
+  return [...buckets].sort((a, b) => a - b);
+}
+
+/**
+ * Creates an empty histogram with the given bucket upper bounds.
+ */
+function histogram(buckets) {
+  return {
+    buckets,
+    counts: buckets.map(() => 0),
+    sum: 0,
+    count: 0
+  };
+}
+
+/**
+ * Records a value in a histogram.
+ */
+function observe(histogram, value) {
+  histogram.buckets.forEach((le, i) => {
+    if (value <= le) {
+      histogram.counts[i]++;
+    }
+  });
+
+  histogram.sum += value;
+  histogram.count++;
+}
+
+/**
+ * Copies a histogram into a plain object, with the cumulative count for each
+ * bucket's upper bound (`le`).
+ */
+function snapshotHistogram(histogram) {
+  const buckets = histogram.buckets.map((le, i) => ({ le, count: histogram.counts[i] }));
+  buckets.push({ le: '+Inf', count: histogram.count });
+
+  return {
+    buckets,
+    sum: histogram.sum,
+    count: histogram.count
+  };
+}
+
+/**
+ * Renders a single Prometheus sample line.
+ */
+function sample(name, labels, value) {
+  const rendered = Object.entries(labels)
+    .map(([label, v]) => `${ label }="${ escapeLabel(v) }"`)
+    .join(',');
+
+  return `${ name }{${ rendered }} ${ value }`;
+}
+
+/**
+ * Escapes a Prometheus label value.
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+exports.MetricsCollector = MetricsCollector;
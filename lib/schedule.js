@@ -0,0 +1,65 @@
+const cronParser = require('cron-parser');
+
+/**
+ * Normalizes a recurring schedule, which is either a cron expression, an
+ * interval in milliseconds, or an object with either `cron` (and optionally
+ * `tz`) or `everyMs`. Throws a `TypeError` if the schedule is invalid.
+ */
+function parseSchedule(schedule) {
+  if (typeof schedule === 'string') {
+    schedule = { cron: schedule };
+  } else if (typeof schedule === 'number') {
+    schedule = { everyMs: schedule };
+  } else if (typeof schedule !== 'object' || schedule === null) {
+    throw new TypeError('`schedule` must be a cron expression, an interval or an object');
+  }
+
+  if (schedule.everyMs !== undefined) {
+    if (!Number.isInteger(schedule.everyMs) || schedule.everyMs <= 0) {
+      throw new TypeError('`everyMs` must be a positive integer');
+    }
+
+    return { everyMs: schedule.everyMs };
+  }
+
+  if (typeof schedule.cron !== 'string') {
+    throw new TypeError('`schedule` must have either a `cron` expression or `everyMs`');
+  } else if (schedule.tz !== undefined && typeof schedule.tz !== 'string') {
+    throw new TypeError('`tz` must be a string');
+  }
+
+  const parsed = { cron: schedule.cron };
+  if (schedule.tz !== undefined) {
+    parsed.tz = schedule.tz;
+  }
+
+  // Both invalid expressions and invalid time zones only show up once a time
+  // is calculated
+  try {
+    nextRun(parsed, new Date().getTime());
+  } catch (e) {
+    throw new TypeError(`Invalid cron schedule: ${ e.message }`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Calculates the first run of a (normalized) schedule strictly after `after`
+ * (epoch ms).
+ */
+function nextRun(schedule, after) {
+  if (schedule.everyMs !== undefined) {
+    return after + schedule.everyMs;
+  }
+
+  const interval = cronParser.parseExpression(schedule.cron, {
+    currentDate: new Date(after),
+    tz: schedule.tz
+  });
+
+  return interval.next().getTime();
+}
+
+exports.parseSchedule = parseSchedule;
+exports.nextRun = nextRun;
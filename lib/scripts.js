@@ -0,0 +1,782 @@
+/**
+ * Lua scripts used to modify tasks atomically in redis.
+ *
+ * Every script is passed all of the queue's keys:
+ *
+ * KEYS[1] - ZSET of pending task IDs, scored by due time
+ * KEYS[2] - hash of task ID to stored task
+ * KEYS[3] - ZSET of in-flight task IDs, scored by lease expiry
+ * KEYS[4] - ZSET of dead letter task IDs, scored by failure time
+ * KEYS[5] - hash of dead letter task ID to stored task
+ * KEYS[6] - hash of recurring schedule name to schedule
+ * KEYS[7] - pub/sub channel that's told when a task becomes the earliest due
+ *           (see `notify` below)
+ *
+ * Stored tasks are JSON objects whose `data` property holds the
+ * already-serialized payload as a string, so scripts can safely decode and
+ * re-encode a task's metadata without touching the payload itself.
+ *
+ * Each recurring schedule has one pending run at a time, with an ID of
+ * `recurring:<name>:<due>`. The schedule's `pending` property holds the ID of
+ * that run, and the run's `next` property holds when the run after it is due
+ * (calculated in JS, since cron expressions can't be evaluated here).
+ */
+
+/**
+ * Builds the ID of a recurring schedule's run.
+ */
+const runId = `
+local function runId(name, due)
+  return 'recurring:' .. name .. ':' .. string.format('%.0f', due)
+end
+`;
+
+/**
+ * Releases an in-flight task's lease. If `lease` (the lease expiry the task
+ * was claimed with) is given, the lease is only released if it's still the
+ * same one, so a worker can't release a lease that ran out and was given to
+ * another worker.
+ */
+const releaseLease = `
+local function releaseLease(taskId, lease)
+  local expiry = redis.call('ZSCORE', KEYS[3], taskId)
+
+  if not expiry or (lease and tonumber(expiry) ~= lease) then
+    return false
+  end
+
+  redis.call('ZREM', KEYS[3], taskId)
+
+  return true
+end
+`;
+
+/**
+ * Publishes a task's due time if it's now the earliest pending task, so that
+ * workers sleeping until the next task is due can wake up sooner.
+ */
+const notify = `
+local function notify(taskId, due)
+  if redis.call('ZRANGE', KEYS[1], 0, 0)[1] == taskId then
+    redis.call('PUBLISH', KEYS[7], due)
+  end
+end
+`;
+
+/**
+ * Adds a task.
+ *
+ * ARGV[1] - task ID
+ * ARGV[2] - due time (epoch ms)
+ * ARGV[3] - stored task
+ *
+ * Returns 1.
+ */
+exports.add = notify + `
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+notify(ARGV[1], ARGV[2])
+
+return 1
+`;
+
+/**
+ * Adds a task with a caller-supplied ID (its key). In `keep` mode, nothing is
+ * added if a task with that ID already exists (pending or in flight). In
+ * `replace` mode, a pending task with that ID is replaced, and a task in
+ * flight has a new one queued behind it.
+ *
+ * ARGV[1] - task ID
+ * ARGV[2] - due time (epoch ms)
+ * ARGV[3] - stored task
+ * ARGV[4] - 'keep' or 'replace'
+ *
+ * Returns 1 if the task was added, 0 if it already exists.
+ */
+exports.addKeyed = notify + `
+if ARGV[4] ~= 'replace' and redis.call('HEXISTS', KEYS[2], ARGV[1]) == 1 then
+  return 0
+end
+
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+notify(ARGV[1], ARGV[2])
+
+return 1
+`;
+
+/**
+ * Removes a pending task. In-flight tasks are left alone.
+ *
+ * ARGV[1] - task ID
+ *
+ * Returns 1 if the task was removed, 0 if it isn't pending.
+ */
+exports.cancel = `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then
+  return 0
+end
+
+redis.call('HDEL', KEYS[2], ARGV[1])
+
+return 1
+`;
+
+/**
+ * Removes every pending task, except the pending runs of recurring tasks
+ * (which `removeRecurring` removes along with their schedules). In-flight
+ * tasks are left alone.
+ *
+ * Returns the number of tasks removed.
+ */
+exports.purge = `
+local purged = 0
+
+for _, taskId in ipairs(redis.call('ZRANGE', KEYS[1], 0, -1)) do
+  if string.sub(taskId, 1, 10) ~= 'recurring:' then
+    redis.call('ZREM', KEYS[1], taskId)
+    redis.call('HDEL', KEYS[2], taskId)
+    purged = purged + 1
+  end
+end
+
+return purged
+`;
+
+/**
+ * Moves a pending task to a new due time.
+ *
+ * ARGV[1] - task ID
+ * ARGV[2] - new due time (epoch ms)
+ *
+ * Returns 1 if the task was rescheduled, 0 if it isn't pending.
+ */
+exports.reschedule = notify + `
+if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  return 0
+end
+
+local task = cjson.decode(redis.call('HGET', KEYS[2], ARGV[1]))
+task.due = tonumber(ARGV[2])
+
+redis.call('HSET', KEYS[2], ARGV[1], cjson.encode(task))
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+notify(ARGV[1], ARGV[2])
+
+return 1
+`;
+
+/**
+ * Replaces the payload of a pending task.
+ *
+ * ARGV[1] - task ID
+ * ARGV[2] - serialized payload
+ *
+ * Returns 1 if the task was updated, 0 if it isn't pending.
+ */
+exports.update = `
+if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  return 0
+end
+
+local task = cjson.decode(redis.call('HGET', KEYS[2], ARGV[1]))
+task.data = ARGV[2]
+task.legacy = nil
+
+redis.call('HSET', KEYS[2], ARGV[1], cjson.encode(task))
+
+return 1
+`;
+
+/**
+ * Acknowledges an in-flight task, removing it for good. If a task with the
+ * same ID was added in `replace` mode since it was claimed, that task is kept.
+ *
+ * ARGV[1] - task ID
+ * ARGV[2] - lease expiry the task was claimed with (optional)
+ *
+ * Returns 1 if the task was acknowledged, 0 if it isn't in flight (e.g. its
+ * lease expired and it was returned to the queue).
+ */
+exports.ack = releaseLease + `
+if not releaseLease(ARGV[1], tonumber(ARGV[2])) then
+  return 0
+end
+
+if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  redis.call('HDEL', KEYS[2], ARGV[1])
+end
+
+return 1
+`;
+
+/**
+ * Returns in-flight tasks to the queue, at their original due time, so that
+ * they're delivered again without waiting for their leases to expire. A task
+ * is only returned if it's still in flight with the same lease.
+ *
+ * ARGV[1...] - pairs of task ID and the lease expiry it was claimed with
+ *
+ * Returns the number of tasks returned to the queue.
+ */
+exports.release = releaseLease + notify + `
+local released = 0
+
+for i = 1, #ARGV, 2 do
+  local taskId = ARGV[i]
+
+  if releaseLease(taskId, tonumber(ARGV[i + 1])) then
+    local task = redis.call('HGET', KEYS[2], taskId)
+
+    if task then
+      local due = cjson.decode(task).due
+
+      redis.call('ZADD', KEYS[1], due, taskId)
+      notify(taskId, due)
+      released = released + 1
+    end
+  end
+end
+
+return released
+`;
+
+/**
+ * Claims tasks that are due. In reliable mode, in-flight tasks whose lease has
+ * expired are first returned to the queue (at their original due time), and
+ * claimed tasks are moved in flight rather than removed. Claiming a recurring
+ * run schedules the run after it.
+ *
+ * Due tasks are claimed highest priority first, then earliest due first. Only
+ * the earliest due tasks (up to the window size) are considered, so that a
+ * large backlog doesn't have to be read on every poll.
+ *
+ * ARGV[1] - current time (epoch ms)
+ * ARGV[2] - the most tasks to claim, or -1 for no limit
+ * ARGV[3] - lease expiry (epoch ms) in reliable mode, 0 otherwise
+ * ARGV[4] - how many of the earliest due tasks to consider, or -1 for all
+ *
+ * Returns the claimed tasks, in the order they were claimed.
+ */
+const claim = `
+local reliable = ARGV[3] ~= '0'
+
+if reliable then
+  local expiredIds = redis.call('ZRANGEBYSCORE', KEYS[3], '-inf', ARGV[1])
+
+  for _, taskId in ipairs(expiredIds) do
+    redis.call('ZREM', KEYS[3], taskId)
+
+    local task = redis.call('HGET', KEYS[2], taskId)
+    if task then
+      redis.call('ZADD', KEYS[1], cjson.decode(task).due, taskId)
+    end
+  end
+end
+
+-- Schedules the run after a claimed recurring run, if it's still the
+-- schedule's pending run and knows when the next one is due. If the next
+-- run is already overdue (no worker polled for a while), it's left to
+-- \`advanceRecurring\`, which schedules it from now, so that a missed run
+-- only fires once.
+local function scheduleNextRun(stored)
+  local task = cjson.decode(stored)
+  if not task.recurring or not task.next or task.next <= tonumber(ARGV[1]) then
+    return
+  end
+
+  local schedule = redis.call('HGET', KEYS[6], task.recurring)
+  if not schedule then
+    return
+  end
+
+  schedule = cjson.decode(schedule)
+  if schedule.pending ~= task.id then
+    return
+  end
+
+  local nextTask = {
+    id = runId(task.recurring, task.next),
+    due = task.next,
+    data = schedule.data,
+    type = schedule.type,
+    priority = schedule.priority,
+    recurring = task.recurring,
+    schedule = schedule.schedule
+  }
+
+  redis.call('HSET', KEYS[2], nextTask.id, cjson.encode(nextTask))
+  redis.call('ZADD', KEYS[1], nextTask.due, nextTask.id)
+
+  schedule.pending = nextTask.id
+  redis.call('HSET', KEYS[6], task.recurring, cjson.encode(schedule))
+end
+
+local limit = tonumber(ARGV[2])
+local taskIds = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[4])
+local candidates = {}
+
+for i, taskId in ipairs(taskIds) do
+  local task = redis.call('HGET', KEYS[2], taskId)
+
+  -- Version 2 stored each task as the whole JSON of its ID, due time and
+  -- data, in the ZSET itself. Such a task is moved to the hash under its ID,
+  -- keeping that JSON as its payload (see \`readPayload()\` in \`index.js\`).
+  if not task and string.sub(taskId, 1, 1) == '{' then
+    local ok, legacy = pcall(cjson.decode, taskId)
+
+    if ok and type(legacy) == 'table' and type(legacy.id) == 'string' then
+      local due = redis.call('ZSCORE', KEYS[1], taskId)
+      task = cjson.encode({ id = legacy.id, due = tonumber(due), data = taskId, legacy = true })
+
+      redis.call('ZREM', KEYS[1], taskId)
+      taskId = legacy.id
+      redis.call('HSET', KEYS[2], taskId, task)
+      redis.call('ZADD', KEYS[1], due, taskId)
+    end
+  end
+
+  if task then
+    -- Only tasks with a priority have one in their JSON (it can't appear
+    -- unescaped inside the data string), which saves decoding the rest
+    local priority = 0
+    if string.find(task, '"priority":', 1, true) then
+      priority = cjson.decode(task).priority or 0
+    end
+
+    table.insert(candidates, { id = taskId, task = task, priority = priority, order = i })
+  else
+    redis.call('ZREM', KEYS[1], taskId)
+  end
+end
+
+table.sort(candidates, function(a, b)
+  if a.priority ~= b.priority then
+    return a.priority > b.priority
+  end
+
+  return a.order < b.order
+end)
+
+local tasks = {}
+
+for _, candidate in ipairs(candidates) do
+  if limit >= 0 and #tasks >= limit then
+    break
+  end
+
+  local taskId = candidate.id
+
+  redis.call('ZREM', KEYS[1], taskId)
+  table.insert(tasks, candidate.task)
+
+  if string.sub(taskId, 1, 10) == 'recurring:' then
+    scheduleNextRun(candidate.task)
+  end
+
+  if reliable then
+    redis.call('ZADD', KEYS[3], ARGV[3], taskId)
+  else
+    redis.call('HDEL', KEYS[2], taskId)
+  end
+end
+
+return tasks
+`;
+
+exports.claim = runId + claim;
+
+/**
+ * Claims due tasks for several queues at once (see `claim`), so that they can
+ * all be polled in one round trip. Runs `claim` for each queue in turn, with
+ * that queue's keys and arguments.
+ *
+ * KEYS - all of the keys for each queue, one queue after another
+ * ARGV - the arguments to `claim` for each queue, one queue after another
+ *
+ * Returns the tasks claimed for each queue.
+ */
+exports.claimMany = runId + `
+local function claimQueue(KEYS, ARGV)
+` + claim + `
+end
+
+local claimed = {}
+
+for i = 0, #KEYS / 7 - 1 do
+  local keys = {}
+  for j = 1, 7 do
+    keys[j] = KEYS[i * 7 + j]
+  end
+
+  local args = {}
+  for j = 1, 4 do
+    args[j] = ARGV[i * 4 + j]
+  end
+
+  table.insert(claimed, claimQueue(keys, args))
+end
+
+return claimed
+`;
+
+/**
+ * Puts a failed task back in the queue to be retried. In reliable mode, this
+ * only happens if the task is still in flight with the same lease. If a task
+ * with the same ID was added in `replace` mode since it was claimed, that
+ * task replaces the retry.
+ *
+ * ARGV[1] - task ID
+ * ARGV[2] - new due time (epoch ms)
+ * ARGV[3] - stored task, with its attempts updated
+ * ARGV[4] - lease expiry the task was claimed with in reliable mode, 0
+ *           otherwise
+ *
+ * Returns 1 if the task was requeued, 0 otherwise.
+ */
+exports.retry = releaseLease + notify + `
+if ARGV[4] ~= '0' and not releaseLease(ARGV[1], tonumber(ARGV[4])) then
+  return 0
+end
+
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  return 1
+end
+
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+notify(ARGV[1], ARGV[2])
+
+return 1
+`;
+
+/**
+ * Moves a failed task to the dead letters. In reliable mode, this only
+ * happens if the task is still in flight with the same lease.
+ *
+ * ARGV[1] - task ID
+ * ARGV[2] - failure time (epoch ms)
+ * ARGV[3] - stored task, with its attempts and error
+ * ARGV[4] - lease expiry the task was claimed with in reliable mode, 0
+ *           otherwise
+ *
+ * Returns 1 if the task was moved, 0 otherwise.
+ */
+exports.deadLetter = releaseLease + `
+if ARGV[4] ~= '0' then
+  if not releaseLease(ARGV[1], tonumber(ARGV[4])) then
+    return 0
+  end
+
+  if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+    redis.call('HDEL', KEYS[2], ARGV[1])
+  end
+end
+
+redis.call('HSET', KEYS[5], ARGV[1], ARGV[3])
+redis.call('ZADD', KEYS[4], ARGV[2], ARGV[1])
+
+return 1
+`;
+
+/**
+ * Lists dead letters, oldest failure first.
+ *
+ * ARGV[1] - start index
+ * ARGV[2] - stop index (inclusive)
+ *
+ * Returns the stored tasks.
+ */
+exports.listDead = `
+local taskIds = redis.call('ZRANGE', KEYS[4], ARGV[1], ARGV[2])
+
+if #taskIds == 0 then
+  return {}
+end
+
+return redis.call('HMGET', KEYS[5], unpack(taskIds))
+`;
+
+/**
+ * Moves dead letters back to the queue with their attempts reset. A dead
+ * letter whose ID is in use by another task (added with the same key) is
+ * left in the dead letters.
+ *
+ * ARGV[1] - due time (epoch ms)
+ * ARGV[2...] - task IDs (all dead letters if omitted)
+ *
+ * Returns the number of tasks requeued.
+ */
+exports.requeueDead = notify + `
+local taskIds = {unpack(ARGV, 2)}
+if #taskIds == 0 then
+  taskIds = redis.call('ZRANGE', KEYS[4], 0, -1)
+end
+
+local requeued = 0
+
+for _, taskId in ipairs(taskIds) do
+  local stored = redis.call('HGET', KEYS[5], taskId)
+
+  -- A task added since with the same key takes precedence
+  if stored and redis.call('HEXISTS', KEYS[2], taskId) == 0 then
+    local task = cjson.decode(stored)
+    task.due = tonumber(ARGV[1])
+    task.attempts = nil
+    task.error = nil
+    task.failedAt = nil
+
+    redis.call('ZREM', KEYS[4], taskId)
+    redis.call('HDEL', KEYS[5], taskId)
+    redis.call('HSET', KEYS[2], taskId, cjson.encode(task))
+    redis.call('ZADD', KEYS[1], ARGV[1], taskId)
+    notify(taskId, ARGV[1])
+
+    requeued = requeued + 1
+  end
+end
+
+return requeued
+`;
+
+/**
+ * Deletes dead letters.
+ *
+ * ARGV[1...] - task IDs (all dead letters if omitted)
+ *
+ * Returns the number of tasks deleted.
+ */
+exports.purgeDead = `
+if #ARGV == 0 then
+  local purged = redis.call('ZCARD', KEYS[4])
+  redis.call('DEL', KEYS[4], KEYS[5])
+  return purged
+end
+
+local purged = 0
+
+for _, taskId in ipairs(ARGV) do
+  purged = purged + redis.call('ZREM', KEYS[4], taskId)
+  redis.call('HDEL', KEYS[5], taskId)
+end
+
+return purged
+`;
+
+/**
+ * Registers a recurring schedule, replacing its pending run if the schedule
+ * or its payload changed. Registering the same schedule again is a no-op.
+ *
+ * ARGV[1] - schedule name
+ * ARGV[2] - schedule, as JSON with `schedule` and `data` properties
+ * ARGV[3] - stored task for the first run
+ *
+ * Returns the ID of the schedule's pending run.
+ */
+exports.addRecurring = notify + `
+local schedule = cjson.decode(ARGV[2])
+local task = cjson.decode(ARGV[3])
+local existing = redis.call('HGET', KEYS[6], ARGV[1])
+
+if existing then
+  existing = cjson.decode(existing)
+
+  if existing.pending and redis.call('ZSCORE', KEYS[1], existing.pending) then
+    local a = existing.schedule
+    local b = schedule.schedule
+
+    if existing.fingerprint == schedule.fingerprint and existing.type == schedule.type and existing.priority == schedule.priority and a.cron == b.cron and a.tz == b.tz and a.everyMs == b.everyMs then
+      return existing.pending
+    end
+
+    redis.call('ZREM', KEYS[1], existing.pending)
+    redis.call('HDEL', KEYS[2], existing.pending)
+  end
+end
+
+schedule.pending = task.id
+
+redis.call('HSET', KEYS[6], ARGV[1], cjson.encode(schedule))
+redis.call('HSET', KEYS[2], task.id, ARGV[3])
+redis.call('ZADD', KEYS[1], task.due, task.id)
+notify(task.id, task.due)
+
+return task.id
+`;
+
+/**
+ * Keeps a recurring schedule going after one of its runs was claimed. If the
+ * claim scheduled the next run, this fills in when the run after that is due.
+ * Otherwise, the next run is scheduled here.
+ *
+ * ARGV[1] - schedule name
+ * ARGV[2] - ID of the claimed run
+ * ARGV[3] - due time of the next run (epoch ms)
+ * ARGV[4] - due time of the run after that (epoch ms)
+ *
+ * Returns 1 if anything changed, 0 otherwise.
+ */
+exports.advanceRecurring = runId + `
+local schedule = redis.call('HGET', KEYS[6], ARGV[1])
+if not schedule then
+  return 0
+end
+
+schedule = cjson.decode(schedule)
+
+local nextId = runId(ARGV[1], tonumber(ARGV[3]))
+
+if schedule.pending == ARGV[2] then
+  local nextTask = {
+    id = nextId,
+    due = tonumber(ARGV[3]),
+    data = schedule.data,
+    type = schedule.type,
+    priority = schedule.priority,
+    recurring = ARGV[1],
+    schedule = schedule.schedule,
+    next = tonumber(ARGV[4])
+  }
+
+  redis.call('HSET', KEYS[2], nextId, cjson.encode(nextTask))
+  redis.call('ZADD', KEYS[1], ARGV[3], nextId)
+
+  schedule.pending = nextId
+  redis.call('HSET', KEYS[6], ARGV[1], cjson.encode(schedule))
+
+  return 1
+end
+
+if schedule.pending == nextId then
+  local stored = redis.call('HGET', KEYS[2], nextId)
+
+  if stored then
+    local task = cjson.decode(stored)
+
+    if not task.next then
+      task.next = tonumber(ARGV[4])
+      redis.call('HSET', KEYS[2], nextId, cjson.encode(task))
+
+      return 1
+    end
+  end
+end
+
+return 0
+`;
+
+/**
+ * Removes a recurring schedule and its pending run. A run that's already in
+ * flight is left alone, but won't schedule another.
+ *
+ * ARGV[1] - schedule name
+ *
+ * Returns 1 if the schedule was removed, 0 if it doesn't exist.
+ */
+exports.removeRecurring = `
+local schedule = redis.call('HGET', KEYS[6], ARGV[1])
+if not schedule then
+  return 0
+end
+
+schedule = cjson.decode(schedule)
+
+if schedule.pending and redis.call('ZREM', KEYS[1], schedule.pending) == 1 then
+  redis.call('HDEL', KEYS[2], schedule.pending)
+end
+
+redis.call('HDEL', KEYS[6], ARGV[1])
+
+return 1
+`;
+
+/**
+ * Lists recurring schedules.
+ *
+ * Returns each schedule followed by the due time of its pending run (or false
+ * if it has none).
+ */
+exports.listRecurring = `
+local schedules = redis.call('HVALS', KEYS[6])
+local result = {}
+
+for _, stored in ipairs(schedules) do
+  local schedule = cjson.decode(stored)
+
+  table.insert(result, stored)
+  table.insert(result, schedule.pending and redis.call('ZSCORE', KEYS[1], schedule.pending) or false)
+end
+
+return result
+`;
+
+/**
+ * Counts pending tasks due at or before a time.
+ *
+ * ARGV[1] - latest due time (epoch ms, or '+inf' for all pending tasks)
+ *
+ * Returns the number of tasks.
+ */
+exports.count = `
+return redis.call('ZCOUNT', KEYS[1], '-inf', ARGV[1])
+`;
+
+/**
+ * Lists pending tasks due within a range, earliest due first.
+ *
+ * ARGV[1] - earliest due time (epoch ms, or '-inf')
+ * ARGV[2] - latest due time (epoch ms, or '+inf')
+ * ARGV[3] - offset
+ * ARGV[4] - limit
+ *
+ * Returns the stored tasks.
+ */
+exports.list = `
+local taskIds = redis.call('ZRANGEBYSCORE', KEYS[1], ARGV[1], ARGV[2], 'LIMIT', ARGV[3], ARGV[4])
+
+if #taskIds == 0 then
+  return {}
+end
+
+return redis.call('HMGET', KEYS[2], unpack(taskIds))
+`;
+
+/**
+ * Gets a pending or in-flight task.
+ *
+ * ARGV[1] - task ID
+ *
+ * Returns the stored task, or false if it doesn't exist.
+ */
+exports.get = `
+return redis.call('HGET', KEYS[2], ARGV[1])
+`;
+
+/**
+ * Finds when the earliest pending task is due.
+ *
+ * Returns the due time (as a string), or false if there are no pending tasks.
+ */
+exports.earliestDue = `
+local earliest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+
+return earliest[2] or false
+`;
+
+/**
+ * Finds when a poll will next have something to do: when the earliest pending
+ * task is due or, in reliable mode, when the earliest lease expires, whichever
+ * is first.
+ *
+ * Returns the time (as a string), or false if nothing is pending or in flight.
+ */
+exports.nextDue = `
+local earliest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')[2]
+local expiry = redis.call('ZRANGE', KEYS[3], 0, 0, 'WITHSCORES')[2]
+
+if earliest and expiry and tonumber(expiry) < tonumber(earliest) then
+  return expiry
+end
+
+return earliest or expiry or false
+`;
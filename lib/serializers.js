@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+/**
+ * Serializers turn a task's data into a string to be stored in redis, and
+ * back again. Each is an object with `serialize(data)` and
+ * `deserialize(string)` functions. Serializers that transform another
+ * serializer's output (like `gzip()` and `encrypted()`) take it as their
+ * `serializer` option, so they can be combined.
+ */
+
+/**
+ * Plain JSON. This is the default.
+ */
+function json() {
+  return {
+    serialize: data => JSON.stringify(data),
+    deserialize: serialized => JSON.parse(serialized)
+  };
+}
+
+/**
+ * JSON that keeps `Date`, `Buffer`, `BigInt`, `Map` and `Set` values, which
+ * are stored as objects tagged with a `$type` property.
+ */
+function richJson() {
+  return {
+    serialize: data => JSON.stringify(encode(data)),
+    deserialize: serialized => decode(JSON.parse(serialized))
+  };
+}
+
+/**
+ * Compresses the output of another serializer with gzip, if it's longer than
+ * `thresholdBytes`. Compressed data is stored as base64 with a `gz:` prefix,
+ * and anything without the prefix is passed through as is.
+ */
+function gzip({ serializer = json(), thresholdBytes = 1024 } = {}) {
+  checkSerializer(serializer);
+
+  if (typeof thresholdBytes !== 'number' || !(thresholdBytes >= 0)) {
+    throw new TypeError('`thresholdBytes` must be a non-negative number');
+  }
+
+  return {
+    serialize: data => {
+      const serialized = serializer.serialize(data);
+
+      if (Buffer.byteLength(serialized) <= thresholdBytes) {
+        return serialized;
+      }
+
+      return 'gz:' + zlib.gzipSync(serialized).toString('base64');
+    },
+
+    deserialize: serialized => {
+      if (serialized.startsWith('gz:')) {
+        serialized = zlib.gunzipSync(Buffer.from(serialized.slice(3), 'base64')).toString();
+      }
+
+      return serializer.deserialize(serialized);
+    }
+  };
+}
+
+/**
+ * Encrypts the output of another serializer with AES-256-GCM. `keys` maps key
+ * IDs to 32-byte keys (as `Buffer`s or base64 strings), and data is encrypted
+ * with the key named by `keyId`. To rotate keys, add the new key and switch
+ * `keyId` to it, keeping the old key until the tasks encrypted with it are
+ * gone. Data that isn't encrypted (e.g. tasks added before encryption was
+ * enabled) is passed through as is.
+ */
+function encrypted({ serializer = json(), keys, keyId } = {}) {
+  checkSerializer(serializer);
+
+  const ids = (typeof keys === 'object' && keys !== null) ? Object.keys(keys) : [];
+  if (ids.length === 0) {
+    throw new TypeError('`keys` must map key IDs to 32-byte keys');
+  }
+
+  const keyring = new Map();
+  for (const id of ids) {
+    const key = (typeof keys[id] === 'string') ? Buffer.from(keys[id], 'base64') : keys[id];
+
+    if (id.length === 0 || id.includes(':') || !Buffer.isBuffer(key) || key.length !== 32) {
+      throw new TypeError('`keys` must map key IDs to 32-byte keys');
+    }
+
+    keyring.set(id, key);
+  }
+
+  if (keyId === undefined && ids.length === 1) {
+    keyId = ids[0];
+  } else if (!keyring.has(keyId)) {
+    throw new TypeError('`keyId` must be one of `keys`');
+  }
+
+  return {
+    serialize: data => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', keyring.get(keyId), iv);
+      const ciphertext = Buffer.concat([cipher.update(serializer.serialize(data), 'utf8'), cipher.final()]);
+
+      return ['enc', keyId, iv, cipher.getAuthTag(), ciphertext]
+        .map(part => Buffer.isBuffer(part) ? part.toString('base64') : part)
+        .join(':');
+    },
+
+    deserialize: serialized => {
+      if (!serialized.startsWith('enc:')) {
+        return serializer.deserialize(serialized);
+      }
+
+      const [, id, iv, tag, ciphertext] = serialized.split(':');
+
+      if (!keyring.has(id)) {
+        throw new Error(`Unknown encryption key \`${ id }\``);
+      }
+
+      const decipher = crypto.createDecipheriv('aes-256-gcm', keyring.get(id), Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+
+      return serializer.deserialize(plaintext.toString('utf8'));
+    }
+  };
+}
+
+/**
+ * Checks whether a value is a serializer.
+ */
+function isSerializer(serializer) {
+  return typeof serializer?.serialize === 'function' && typeof serializer?.deserialize === 'function';
+}
+
+/**
+ * Throws if a wrapped serializer isn't a serializer.
+ */
+function checkSerializer(serializer) {
+  if (!isSerializer(serializer)) {
+    throw new TypeError('`serializer` must have `serialize` and `deserialize` functions');
+  }
+}
+
+/**
+ * Builds a hash of some data that's the same for equal data, whatever
+ * serializer is used (encrypted data differs every time it's serialized).
+ */
+function fingerprint(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(encode(data))).digest('hex');
+}
+
+/**
+ * Converts a value to one that JSON can represent, tagging values that it
+ * can't.
+ */
+function encode(value) {
+  if (typeof value === 'bigint') {
+    return { $type: 'BigInt', value: value.toString() };
+  } else if (value instanceof Date) {
+    return { $type: 'Date', value: isNaN(value.getTime()) ? null : value.toISOString() };
+  } else if (Buffer.isBuffer(value)) {
+    return { $type: 'Buffer', value: value.toString('base64') };
+  } else if (value instanceof Map) {
+    return { $type: 'Map', value: [...value].map(([k, v]) => [encode(k), encode(v)]) };
+  } else if (value instanceof Set) {
+    return { $type: 'Set', value: [...value].map(encode) };
+  } else if (Array.isArray(value)) {
+    return value.map(encode);
+  } else if (typeof value !== 'object' || value === null) {
+    return value;
+  } else if (typeof value.toJSON === 'function') {
+    return encode(value.toJSON());
+  }
+
+  const encoded = Object.fromEntries(
+    Object.entries(value)
+      .filter(([, v]) => v !== undefined && typeof v !== 'function' && typeof v !== 'symbol')
+      .map(([k, v]) => [k, encode(v)])
+  );
+
+  // Make sure objects that happen to have a `$type` aren't revived as
+  // something else
+  return Object.prototype.hasOwnProperty.call(encoded, '$type') ? { $type: 'Object', value: encoded } : encoded;
+}
+
+/**
+ * Revives a value converted by `encode()`.
+ */
+function decode(value) {
+  if (Array.isArray(value)) {
+    return value.map(decode);
+  } else if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  switch (value.$type) {
+    case 'BigInt':
+      return BigInt(value.value);
+    case 'Date':
+      return new Date((value.value === null) ? NaN : value.value);
+    case 'Buffer':
+      return Buffer.from(value.value, 'base64');
+    case 'Map':
+      return new Map(value.value.map(([k, v]) => [decode(k), decode(v)]));
+    case 'Set':
+      return new Set(value.value.map(decode));
+    case 'Object':
+      return decodeProperties(value.value);
+    default:
+      return decodeProperties(value);
+  }
+}
+
+/**
+ * Revives each property of an object converted by `encode()`.
+ */
+function decodeProperties(value) {
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decode(v)]));
+}
+
+exports.json = json;
+exports.richJson = richJson;
+exports.gzip = gzip;
+exports.encrypted = encrypted;
+exports.isSerializer = isSerializer;
+exports.fingerprint = fingerprint;
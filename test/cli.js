@@ -0,0 +1,283 @@
+const assert = require('assert');
+
+const crypto = require('crypto');
+
+const { DelayedTasks, serializers } = require('../index');
+const { run } = require('../lib/cli');
+const { hasServer } = require('./helpers/server');
+
+const queue = 'cli';
+
+// The `redis` setting for queues under test, and the options that connect
+// the tool to the same place: the local redis server or, without one, the
+// memory backend's default store (see `test/helpers/server.js`)
+let testRedis;
+let connectionArgs;
+
+/**
+ * Runs the command-line tool, resolving to its exit code and output.
+ */
+async function cli(...argv) {
+  const output = { stdout: '', stderr: '' };
+  const io = {
+    stdout: { write: text => output.stdout += text },
+    stderr: { write: text => output.stderr += text }
+  };
+
+  output.code = await run(connectionArgs.concat(argv), io);
+
+  return output;
+}
+
+describe('command-line tool', function() {
+
+  let dt;
+
+  before(async function() {
+    if (await hasServer()) {
+      testRedis = {};
+      connectionArgs = [];
+    } else {
+      testRedis = { backend: 'memory' };
+      connectionArgs = ['--redis', JSON.stringify(testRedis)];
+    }
+
+    dt = new DelayedTasks({
+      id: queue,
+      redis: testRedis,
+      callback: () => {
+        throw new Error('Failed');
+      }
+    });
+
+    await dt.connect();
+  });
+
+  afterEach(async function() {
+    await dt.purge();
+    await dt.purgeDeadLetters();
+  });
+
+  after(async function() {
+    await dt.close();
+  });
+
+  it('shows usage', async function() {
+    const { code, stdout } = await cli('--help');
+
+    assert.equal(code, 0);
+    assert.ok(stdout.startsWith('Usage: redis-delayed-tasks <command>'));
+  });
+
+  it('fails with an invalid command line', async function() {
+    for (const [argv, message] of [
+      [['drop', queue], 'Unknown command: drop'],
+      [['list'], 'Missing queue for `list`'],
+      [['get', queue], 'Wrong number of arguments for `get`'],
+      [['list', queue, '--verbose'], 'Unknown option: --verbose'],
+      [['list', queue, '--limit'], 'Missing value for --limit'],
+      [['list', queue, '--format', 'xml'], '--format must be `table` or `json`'],
+      [['list', queue, '--redis', '{'], '--redis must be valid JSON'],
+      [['list', queue, '--keys', '{'], '--keys must be valid JSON'],
+      [['list', queue, '--keys', '{"k1":"c2hvcnQ="}'], '--keys must map key IDs to base64 32-byte keys'],
+      [['purge', queue], 'Give --all to delete every pending task'],
+      [['dead', 'purge', queue], 'Give the task IDs, or --all for every dead letter']
+    ]) {
+      const { code, stderr } = await cli(...argv);
+
+      assert.equal(code, 2);
+      assert.equal(stderr, `${ message }\nRun with --help for usage.\n`);
+    }
+  });
+
+  it('fails when it can not connect', async function() {
+    const { code, stderr } = await cli('count', queue, '--redis', '{}', '--port', '1');
+
+    assert.equal(code, 1);
+    assert.ok(stderr.startsWith('Error: '));
+  });
+
+  it('lists, peeks and counts tasks', async function() {
+    const first = await dt.addAt(new Date(), { foo: 'bar' }, { type: 'email' });
+    const second = await dt.add(60000, { foo: 'baz' }, { priority: 2 });
+
+    let { code, stdout } = await cli('list', queue);
+    const lines = stdout.trim().split('\n');
+
+    assert.equal(code, 0);
+    assert.deepEqual(lines[0].split(/\s+/), ['ID', 'DUE', 'TYPE', 'PRIORITY', 'ATTEMPTS', 'DATA']);
+    assert.ok(lines[1].startsWith(first));
+    assert.ok(lines[1].includes('email'));
+    assert.ok(lines[1].endsWith('{"foo":"bar"}'));
+    assert.ok(lines[2].startsWith(second));
+
+    ({ code, stdout } = await cli('list', queue, '--format', 'json', '--offset', '1'));
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout).map(t => t.id), [second]);
+
+    ({ stdout } = await cli('list', queue, '--format=json', `--from=${ Date.now() + 1000 }`));
+    assert.deepEqual(JSON.parse(stdout).map(t => t.id), [second]);
+
+    ({ stdout } = await cli('peek', queue, '--format', 'json'));
+    assert.deepEqual(JSON.parse(stdout).map(t => t.id), [first]);
+
+    ({ stdout } = await cli('count', queue, '--format', 'json'));
+    const counts = JSON.parse(stdout);
+    assert.equal(counts.pending, 2);
+    assert.equal(counts.due, 1);
+    assert.ok(counts.lagMs >= 0);
+
+    ({ code, stderr } = await cli('list', queue, '--limit', '0'));
+    assert.equal(code, 1);
+    assert.equal(stderr, 'Error: `limit` must be a positive integer\n');
+  });
+
+  it('shows, cancels and reschedules a task', async function() {
+    const taskId = await dt.add(60000, { foo: 'bar' });
+
+    let { code, stdout } = await cli('get', queue, taskId);
+    assert.equal(code, 0);
+    assert.ok(stdout.startsWith(`id:   ${ taskId }\n`));
+
+    ({ code, stdout } = await cli('reschedule', queue, taskId, '2100-01-01T00:00:00Z'));
+    assert.equal(code, 0);
+    assert.equal(stdout, `Rescheduled ${ taskId } for 2100-01-01T00:00:00.000Z\n`);
+    assert.equal((await dt.get(taskId)).due, Date.parse('2100-01-01T00:00:00Z'));
+
+    ({ code, stdout } = await cli('cancel', queue, taskId, '--format', 'json'));
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout), { cancelled: true });
+
+    ({ code, stdout } = await cli('cancel', queue, taskId));
+    assert.equal(code, 1);
+    assert.equal(stdout, `No pending task: ${ taskId }\n`);
+
+    ({ code, stdout } = await cli('get', queue, taskId, '--format', 'json'));
+    assert.equal(code, 1);
+    assert.equal(stdout, 'null\n');
+  });
+
+  it('reads times the same way for every command', async function() {
+    const taskId = await dt.add(60000, { foo: 'bar' });
+    const epoch = Date.parse('2100-01-01T00:00:00Z');
+
+    // Epoch milliseconds are an absolute time, as printed by `list`
+    let { code } = await cli('reschedule', queue, taskId, String(epoch));
+    assert.equal(code, 0);
+    assert.equal((await dt.get(taskId)).due, epoch);
+
+    let { stdout } = await cli('list', queue, '--format', 'json', '--from', String(epoch), '--to', String(epoch));
+    assert.deepEqual(JSON.parse(stdout).map(t => t.id), [taskId]);
+
+    // `+<ms>` is a number of milliseconds from now
+    const before = Date.now();
+    ({ code } = await cli('reschedule', queue, taskId, '+60000'));
+    assert.equal(code, 0);
+
+    const { due } = await dt.get(taskId);
+    assert.ok(due >= before + 60000 && due <= Date.now() + 60000);
+
+    ({ stdout } = await cli('list', queue, '--format', 'json', '--from', '+30000', '--to', '+90000'));
+    assert.deepEqual(JSON.parse(stdout).map(t => t.id), [taskId]);
+
+    ({ stdout } = await cli('list', queue, '--format', 'json', '--to', '+30000'));
+    assert.deepEqual(JSON.parse(stdout), []);
+  });
+
+  it('exports and purges pending tasks', async function() {
+    const first = await dt.addAt(new Date(), { n: 1 });
+    const second = await dt.add(60000, { n: 2 });
+    await dt.addRecurring('report', 60000, { report: true });
+
+    let { code, stdout } = await cli('export', queue);
+    assert.equal(code, 0);
+
+    const tasks = JSON.parse(stdout);
+    assert.equal(tasks.length, 3);
+    assert.deepEqual(tasks.slice(0, 2).map(t => [t.id, t.data]), [[first, { n: 1 }], [second, { n: 2 }]]);
+
+    ({ code, stdout } = await cli('purge', queue, '--all', '--format', 'json'));
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout), { purged: 2 });
+
+    // The recurring task keeps its pending run
+    assert.deepEqual((await dt.list()).map(t => t.recurring), ['report']);
+
+    await dt.removeRecurring('report');
+  });
+
+  it('exports every page past tasks stored by version 2', async function() {
+    for (let i = 0; i < 150; i++) {
+      await dt.add(60000, { n: i });
+    }
+
+    // A task stored by version 2, due before the rest, which `list()` can't
+    // show until it's claimed
+    const due = Date.now() + 1000;
+    const legacy = JSON.stringify({ id: 'v2-task', due, data: {} });
+
+    if (testRedis.backend === 'memory') {
+      dt.redisClient.zadd(dt.redisKey, due, legacy);
+    } else {
+      await dt.redisClient.zAdd(dt.redisKey, { score: due, value: legacy });
+    }
+
+    const { code, stdout } = await cli('export', queue);
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).length, 150);
+  });
+
+  it('reads compressed and encrypted data', async function() {
+    const key = crypto.randomBytes(32).toString('base64');
+    const writer = new DelayedTasks({
+      id: queue,
+      redis: testRedis,
+      options: {
+        serializer: serializers.encrypted({
+          serializer: serializers.gzip({ thresholdBytes: 0 }),
+          keys: { k1: key }
+        })
+      }
+    });
+
+    await writer.connect();
+    const taskId = await writer.add(60000, { foo: 'bar' });
+    await writer.close();
+
+    let { code, stdout } = await cli('get', queue, taskId, '--format', 'json');
+    assert.equal(code, 0);
+    assert.strictEqual(JSON.parse(stdout).data, null);
+    assert.ok(JSON.parse(stdout).deserializeError);
+
+    ({ code, stdout } = await cli('get', queue, taskId, '--format', 'json', '--keys', JSON.stringify({ k1: key })));
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout).data, { foo: 'bar' });
+  });
+
+  it('exports, requeues and purges dead letters', async function() {
+    const a = await dt.addAt(new Date(), { n: 1 });
+    const b = await dt.addAt(new Date(), { n: 2 });
+    await dt.poll();
+    await new Promise(r => setTimeout(r, 20));
+
+    let { code, stdout } = await cli('dead', 'list', queue);
+    assert.equal(code, 0);
+    assert.equal(stdout.trim().split('\n').length, 3);
+    assert.ok(stdout.includes('Failed'));
+
+    ({ code, stdout } = await cli('dead', 'export', queue));
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout).map(t => t.id).sort(), [a, b].sort());
+
+    ({ code, stdout } = await cli('dead', 'requeue', queue, a));
+    assert.equal(code, 0);
+    assert.equal(stdout, 'Requeued 1 dead letter(s)\n');
+    assert.ok(await dt.get(a));
+
+    ({ code, stdout } = await cli('dead', 'purge', queue, '--all', '--format', 'json'));
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout), { purged: 1 });
+    assert.deepEqual(await dt.listDeadLetters(), []);
+  });
+
+});
@@ -0,0 +1,25 @@
+const redis = require('redis');
+
+let found = null;
+
+/**
+ * Checks whether there's a redis server to test against on localhost. Suites
+ * that need one run against the memory backend without it (and skip the tests
+ * of real clients), so the tests can run anywhere. The server is only looked
+ * for once.
+ */
+function hasServer() {
+  if (found === null) {
+    const client = redis.createClient({ socket: { reconnectStrategy: false } });
+    client.on('error', () => {});
+
+    found = client.connect().then(
+      () => client.disconnect().then(() => true),
+      () => false
+    );
+  }
+
+  return found;
+}
+
+exports.hasServer = hasServer;
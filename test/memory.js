@@ -0,0 +1,267 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+const { DelayedTasks, DelayedTasksManager, MemoryStore } = require('../index');
+
+/**
+ * Creates a `DelayedTasks` object using the memory backend.
+ */
+function createTasksObject(store, callback, options) {
+  return new DelayedTasks({
+    id: 'memory',
+    redis: { backend: 'memory', store },
+    callback: callback || (() => {}),
+    options
+  });
+}
+
+describe('memory backend', function() {
+
+  let store;
+
+  beforeEach(function() {
+    store = new MemoryStore();
+  });
+
+  it('is ready without connecting', async function() {
+    const dt = createTasksObject(store);
+
+    assert.ok(dt.start());
+    await dt.connect();
+
+    await dt.close();
+  });
+
+  it('fails with an invalid store', function() {
+    assert.throws(
+      () => createTasksObject({}),
+      {
+        name: 'TypeError',
+        message: '`store` must be a MemoryStore'
+      }
+    );
+  });
+
+  it('shares a default store between objects', async function() {
+    const a = new DelayedTasks({ id: 'memory-default', redis: { backend: 'memory' } });
+    const b = new DelayedTasks({ id: 'memory-default', redis: { backend: 'memory' } });
+
+    const taskId = await a.add(1000, { foo: 'bar' });
+
+    assert.equal((await b.get(taskId)).data.foo, 'bar');
+    assert.ok(await b.cancel(taskId));
+
+    await a.close();
+    await b.close();
+  });
+
+  it('claims due tasks in order', async function() {
+    const cb = sinon.stub();
+    const dt = createTasksObject(store, cb);
+
+    const now = new Date().getTime();
+    const second = await dt.addAt(now - 1000, { n: 2 });
+    const first = await dt.addAt(now - 2000, { n: 1 });
+    const urgent = await dt.addAt(now, { n: 3 }, { priority: 1 });
+    await dt.add(10000, { n: 4 });
+
+    assert.equal(await dt.count(), 4);
+    assert.equal(await dt.countDue(), 3);
+    assert.ok(await dt.lag() >= 2000);
+    assert.deepEqual((await dt.list()).map(t => t.data.n), [1, 2, 3, 4]);
+
+    assert.equal(await dt.poll(), 3);
+    assert.deepEqual(cb.args.map(a => a[1]), [urgent, first, second]);
+    assert.equal(await dt.count(), 1);
+
+    await dt.close();
+  });
+
+  it('never claims a task for more than one worker', async function() {
+    const cbA = sinon.stub();
+    const cbB = sinon.stub();
+    const a = createTasksObject(store, cbA);
+    const b = createTasksObject(store, cbB);
+
+    for (let i = 0; i < 10; i++) {
+      await a.addAt(new Date(), { n: i });
+    }
+
+    const [claimedA, claimedB] = await Promise.all([a.poll(), b.poll()]);
+
+    assert.equal(claimedA + claimedB, 10);
+    assert.equal(cbA.callCount + cbB.callCount, 10);
+
+    await a.close();
+    await b.close();
+  });
+
+  it('delivers tasks stored by version 2', async function() {
+    const cb = sinon.stub();
+    const dt = createTasksObject(store, cb);
+
+    const due = new Date().getTime() - 10;
+    store.zadd(dt.redisKey, due, JSON.stringify({ id: 'v2-task', due, data: { foo: 'bar' } }));
+
+    assert.equal(await dt.poll(), 1);
+    assert.ok(cb.calledOnceWith({ foo: 'bar' }, 'v2-task', due));
+    assert.equal(store.zcard(dt.redisKey), 0);
+
+    await dt.close();
+  });
+
+  it('cancels, reschedules and updates pending tasks', async function() {
+    const dt = createTasksObject(store);
+
+    const a = await dt.add(1000, { n: 1 });
+    const b = await dt.add(1000, { n: 2 });
+
+    assert.ok(await dt.cancel(a));
+    assert.equal(await dt.cancel(a), false);
+    assert.equal(await dt.get(a), null);
+
+    assert.ok(await dt.reschedule(b, 5000));
+    assert.ok(await dt.update(b, { n: 3 }));
+
+    const task = await dt.get(b);
+    assert.deepEqual(task.data, { n: 3 });
+    assert.ok(task.due >= new Date().getTime() + 4000);
+
+    await dt.close();
+  });
+
+  it('deduplicates and debounces keyed tasks', async function() {
+    const dt = createTasksObject(store);
+
+    await dt.add(1000, { n: 1 }, { key: 'a' });
+    await dt.add(1000, { n: 2 }, { key: 'a' });
+    assert.deepEqual((await dt.get('a')).data, { n: 1 });
+
+    await dt.add(1000, { n: 3 }, { key: 'a', mode: 'replace' });
+    assert.deepEqual((await dt.get('a')).data, { n: 3 });
+    assert.equal(await dt.count(), 1);
+
+    await dt.close();
+  });
+
+  it('keeps tasks in flight in reliable mode', async function() {
+    let finish;
+    const dt = createTasksObject(store, () => new Promise(r => finish = r), {
+      reliable: true,
+      visibilityTimeoutMs: 50
+    });
+
+    const taskId = await dt.addAt(new Date(), {});
+
+    assert.equal(await dt.poll(), 1);
+    assert.equal(await dt.count(), 0);
+    assert.ok(await dt.get(taskId));
+
+    // The lease runs out, so the task is delivered again
+    await new Promise(r => setTimeout(r, 60));
+    const conflict = sinon.spy();
+    dt.on('conflict', conflict);
+
+    const first = finish;
+    assert.equal(await dt.poll(), 1);
+
+    first();
+    await new Promise(r => setImmediate(r));
+    assert.ok(conflict.calledOnce);
+
+    finish();
+    await dt.drain();
+    assert.equal(await dt.get(taskId), null);
+
+    await dt.close();
+  });
+
+  it('retries and dead-letters failed tasks', async function() {
+    const dt = createTasksObject(store, () => { throw new Error('Failed') }, {
+      retry: { maxAttempts: 2, delayMs: 1 }
+    });
+
+    const taskId = await dt.addAt(new Date(), {});
+
+    await dt.poll();
+    assert.equal((await dt.get(taskId)).attempts, 1);
+
+    await new Promise(r => setTimeout(r, 5));
+    await dt.poll();
+
+    const [dead] = await dt.listDeadLetters();
+    assert.equal(dead.id, taskId);
+    assert.equal(dead.error, 'Failed');
+
+    assert.equal(await dt.requeueDeadLetters([taskId]), 1);
+    assert.equal((await dt.get(taskId)).attempts, undefined);
+    assert.deepEqual(await dt.listDeadLetters(), []);
+    assert.equal(await dt.purgeDeadLetters(), 0);
+
+    await dt.close();
+  });
+
+  it('wakes up adaptive polling when a task is added', async function() {
+    const cb = sinon.stub();
+    const worker = createTasksObject(store, cb, {
+      adaptivePolling: true,
+      maxPollIntervalMs: 60000
+    });
+    const producer = createTasksObject(store);
+
+    worker.start();
+    await new Promise(r => setTimeout(r, 20));
+
+    await producer.add(10, { foo: 'bar' });
+    await new Promise(r => setTimeout(r, 50));
+
+    assert.ok(cb.calledOnceWith({ foo: 'bar' }));
+
+    await worker.close();
+    await producer.close();
+  });
+
+  it('polls queues through a manager', async function() {
+    const cb = sinon.stub();
+    const manager = new DelayedTasksManager({ redis: { backend: 'memory', store } });
+
+    const a = manager.queue('a', { callback: cb });
+    const b = manager.queue('b', { callback: cb });
+
+    await a.addAt(new Date(), { n: 1 });
+    await b.addAt(new Date(), { n: 2 });
+
+    assert.deepEqual(await manager.poll(), { a: 1, b: 1 });
+    assert.deepEqual(cb.args.map(a => a[0]), [{ n: 1 }, { n: 2 }]);
+
+    await manager.close();
+  });
+
+  it('schedules recurring tasks', async function() {
+    const cb = sinon.stub();
+    const dt = createTasksObject(store, cb);
+
+    const first = await dt.addRecurring('report', 1000, { n: 1 });
+    assert.equal(await dt.addRecurring('report', 1000, { n: 1 }), first);
+
+    const [schedule] = await dt.listRecurring();
+    assert.equal(schedule.name, 'report');
+    assert.equal(typeof schedule.next, 'number');
+
+    await dt.reschedule(first, new Date());
+    await dt.poll();
+
+    assert.ok(cb.calledOnceWith({ n: 1 }, first));
+
+    // The next run was scheduled when the first one was claimed
+    const [next] = await dt.list();
+    assert.equal(next.recurring, 'report');
+    assert.equal(next.due, Number(first.split(':')[2]) + 1000);
+
+    assert.ok(await dt.removeRecurring('report'));
+    assert.equal(await dt.count(), 0);
+
+    await dt.close();
+  });
+
+});
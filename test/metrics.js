@@ -0,0 +1,170 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+
+const { MetricsCollector } = require('../lib/metrics');
+
+/**
+ * Creates a stand-in for a `DelayedTasks` object, with a fixed queue size.
+ */
+function createSource(id, maxAttempts = 1) {
+  const source = new EventEmitter();
+
+  source.id = id;
+  source.retry = { maxAttempts };
+  source.count = async () => 5;
+  source.countDue = async () => 2;
+  source.lag = async () => 1500;
+
+  return source;
+}
+
+describe('MetricsCollector', function() {
+
+  it('counts task events', async function() {
+    const metrics = new MetricsCollector();
+    const dt = createSource('emails', 3);
+    metrics.watch(dt);
+
+    const task = { id: 'a', due: new Date().getTime(), data: {} };
+
+    dt.emit('added', task);
+    dt.emit('added', task);
+    dt.emit('claimed', task);
+    dt.emit('completed', task);
+    dt.emit('failed', Object.assign({}, task, { attempts: 1 }), new Error());
+    dt.emit('failed', Object.assign({}, task, { attempts: 3 }), new Error());
+    dt.emit('conflict', task);
+    dt.emit('claimed', task);
+    dt.emit('expired', task);
+
+    const { emails } = await metrics.snapshot();
+
+    assert.equal(emails.added, 2);
+    assert.equal(emails.claimed, 2);
+    assert.equal(emails.completed, 1);
+    assert.equal(emails.failed, 2);
+    assert.equal(emails.retried, 1);
+    assert.equal(emails.conflicts, 1);
+    assert.equal(emails.expired, 1);
+  });
+
+  it('reads the queue size from a watched object', async function() {
+    const metrics = new MetricsCollector().watch(createSource('emails'));
+
+    const { emails } = await metrics.snapshot();
+
+    assert.equal(emails.pending, 5);
+    assert.equal(emails.due, 2);
+    assert.equal(emails.lagMs, 1500);
+  });
+
+  it('records poll durations and claim lag in histograms', async function() {
+    const metrics = new MetricsCollector({
+      pollDurationBuckets: [0.1, 0.01],
+      lagBuckets: [1, 10]
+    });
+    const dt = createSource('emails');
+    metrics.watch(dt);
+
+    dt.emit('polled', { claimed: 0, durationMs: 5 });
+    dt.emit('polled', { claimed: 2, durationMs: 50 });
+    dt.emit('claimed', { id: 'a', due: new Date().getTime() - 5000 });
+
+    const { emails } = await metrics.snapshot();
+
+    assert.deepEqual(emails.pollDuration, {
+      buckets: [
+        { le: 0.01, count: 1 },
+        { le: 0.1, count: 2 },
+        { le: '+Inf', count: 2 }
+      ],
+      sum: 0.055,
+      count: 2
+    });
+
+    assert.deepEqual(emails.claimLag.buckets.map(b => b.count), [0, 1, 1]);
+    assert.ok(emails.claimLag.sum >= 5);
+  });
+
+  it('uses default buckets if invalid', function() {
+    const metrics = new MetricsCollector({
+      pollDurationBuckets: [],
+      lagBuckets: [1, -1]
+    });
+
+    assert.equal(metrics.pollDurationBuckets.length, 11);
+    assert.equal(metrics.lagBuckets.length, 11);
+  });
+
+  it('counts objects with the same queue ID together', async function() {
+    const metrics = new MetricsCollector();
+    const a = createSource('emails');
+    const b = createSource('emails');
+    const c = createSource('sms');
+    metrics.watch(a).watch(b).watch(c).watch(a);
+
+    a.emit('added', {});
+    b.emit('added', {});
+    c.emit('added', {});
+
+    const snapshot = await metrics.snapshot();
+
+    assert.deepEqual(Object.keys(snapshot), ['emails', 'sms']);
+    assert.equal(snapshot.emails.added, 2);
+    assert.equal(snapshot.sms.added, 1);
+  });
+
+  it('stops counting once unwatched', async function() {
+    const metrics = new MetricsCollector();
+    const dt = createSource('emails');
+    metrics.watch(dt);
+
+    dt.emit('added', {});
+    metrics.unwatch(dt).unwatch(dt);
+    dt.emit('added', {});
+
+    assert.equal(dt.listenerCount('added'), 0);
+
+    // Counters are kept, but the queue size can no longer be read
+    const { emails } = await metrics.snapshot();
+    assert.equal(emails.added, 1);
+    assert.strictEqual(emails.pending, undefined);
+  });
+
+  it('renders the Prometheus text format', async function() {
+    const metrics = new MetricsCollector({ pollDurationBuckets: [0.01, 0.1] });
+    const dt = createSource('my "queue"');
+    metrics.watch(dt);
+
+    dt.emit('added', {});
+    dt.emit('polled', { claimed: 0, durationMs: 20 });
+
+    const text = await metrics.render();
+    const lines = text.split('\n');
+
+    assert.ok(text.endsWith('\n'));
+    assert.ok(lines.includes('# HELP delayed_tasks_added_total Tasks added.'));
+    assert.ok(lines.includes('# TYPE delayed_tasks_added_total counter'));
+    assert.ok(lines.includes('delayed_tasks_added_total{queue="my \\"queue\\""} 1'));
+    assert.ok(lines.includes('delayed_tasks_claimed_total{queue="my \\"queue\\""} 0'));
+
+    assert.ok(lines.includes('# TYPE delayed_tasks_pending gauge'));
+    assert.ok(lines.includes('delayed_tasks_pending{queue="my \\"queue\\""} 5'));
+    assert.ok(lines.includes('delayed_tasks_due{queue="my \\"queue\\""} 2'));
+    assert.ok(lines.includes('delayed_tasks_lag_seconds{queue="my \\"queue\\""} 1.5'));
+
+    const start = lines.indexOf('# TYPE delayed_tasks_poll_duration_seconds histogram');
+    assert.deepEqual(lines.slice(start + 1, start + 6), [
+      'delayed_tasks_poll_duration_seconds_bucket{queue="my \\"queue\\"",le="0.01"} 0',
+      'delayed_tasks_poll_duration_seconds_bucket{queue="my \\"queue\\"",le="0.1"} 1',
+      'delayed_tasks_poll_duration_seconds_bucket{queue="my \\"queue\\"",le="+Inf"} 1',
+      'delayed_tasks_poll_duration_seconds_sum{queue="my \\"queue\\""} 0.02',
+      'delayed_tasks_poll_duration_seconds_count{queue="my \\"queue\\""} 1'
+    ]);
+  });
+
+  it('renders nothing before watching anything', async function() {
+    assert.equal(await new MetricsCollector().render(), '');
+  });
+
+});
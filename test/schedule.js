@@ -0,0 +1,101 @@
+const assert = require('assert');
+
+const { parseSchedule, nextRun } = require('../lib/schedule');
+
+describe('parseSchedule()', function() {
+
+  it('accepts a cron expression', function() {
+    assert.deepEqual(parseSchedule('*/5 * * * *'), { cron: '*/5 * * * *' });
+  });
+
+  it('accepts an interval', function() {
+    assert.deepEqual(parseSchedule(60000), { everyMs: 60000 });
+  });
+
+  it('accepts an object', function() {
+    assert.deepEqual(
+      parseSchedule({ cron: '0 9 * * *', tz: 'America/New_York' }),
+      { cron: '0 9 * * *', tz: 'America/New_York' }
+    );
+    assert.deepEqual(parseSchedule({ everyMs: 1000 }), { everyMs: 1000 });
+  });
+
+  it('fails with an invalid schedule type', function() {
+    for (const schedule of [undefined, null, true]) {
+      assert.throws(
+        () => parseSchedule(schedule),
+        {
+          name: 'TypeError',
+          message: '`schedule` must be a cron expression, an interval or an object'
+        }
+      );
+    }
+  });
+
+  it('fails with an invalid interval', function() {
+    for (const schedule of [0, -1000, 1.5, { everyMs: '1000' }]) {
+      assert.throws(
+        () => parseSchedule(schedule),
+        {
+          name: 'TypeError',
+          message: '`everyMs` must be a positive integer'
+        }
+      );
+    }
+  });
+
+  it('fails with an object missing a schedule', function() {
+    assert.throws(
+      () => parseSchedule({ tz: 'UTC' }),
+      {
+        name: 'TypeError',
+        message: '`schedule` must have either a `cron` expression or `everyMs`'
+      }
+    );
+  });
+
+  it('fails with an invalid time zone type', function() {
+    assert.throws(
+      () => parseSchedule({ cron: '* * * * *', tz: 5 }),
+      {
+        name: 'TypeError',
+        message: '`tz` must be a string'
+      }
+    );
+  });
+
+  it('fails with an invalid cron expression or time zone', function() {
+    for (const schedule of ['not a cron', { cron: '* * * * *', tz: 'Not/AZone' }]) {
+      assert.throws(
+        () => parseSchedule(schedule),
+        e => e instanceof TypeError && e.message.startsWith('Invalid cron schedule: ')
+      );
+    }
+  });
+
+});
+
+describe('nextRun()', function() {
+
+  it('adds the interval', function() {
+    assert.equal(nextRun({ everyMs: 5000 }, 1000), 6000);
+  });
+
+  it('finds the next cron time strictly after the given time', function() {
+    const nineAm = Date.parse('2030-01-01T09:00:00Z');
+
+    assert.equal(nextRun({ cron: '0 9 * * *', tz: 'UTC' }, nineAm - 1), nineAm);
+    assert.equal(nextRun({ cron: '0 9 * * *', tz: 'UTC' }, nineAm), nineAm + 24 * 60 * 60 * 1000);
+  });
+
+  it('evaluates cron expressions in the given time zone', function() {
+    // 9 AM in New York is 14:00 UTC before DST starts, and 13:00 UTC after
+    const schedule = { cron: '0 9 * * *', tz: 'America/New_York' };
+    const beforeDst = nextRun(schedule, Date.parse('2030-03-09T00:00:00Z'));
+    const afterDst = nextRun(schedule, beforeDst);
+
+    assert.equal(new Date(beforeDst).toISOString(), '2030-03-09T14:00:00.000Z');
+    assert.equal(new Date(afterDst).toISOString(), '2030-03-10T13:00:00.000Z');
+  });
+
+});
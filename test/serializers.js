@@ -0,0 +1,215 @@
+const assert = require('assert');
+const crypto = require('crypto');
+
+const serializers = require('../lib/serializers');
+
+describe('serializers', function() {
+
+  describe('json()', function() {
+
+    it('round-trips plain JSON', function() {
+      const { serialize, deserialize } = serializers.json();
+
+      assert.equal(serialize({ foo: 'bar' }), '{"foo":"bar"}');
+      assert.deepEqual(deserialize('{"foo":"bar"}'), { foo: 'bar' });
+    });
+
+  });
+
+  describe('richJson()', function() {
+
+    it('revives values JSON can not represent', function() {
+      const { serialize, deserialize } = serializers.richJson();
+
+      const data = {
+        date: new Date('2030-01-01T00:00:00.000Z'),
+        invalidDate: new Date('invalid'),
+        buffer: Buffer.from('hello'),
+        big: 12345678901234567890n,
+        map: new Map([['a', 1], [new Date(0), { nested: new Set([1, 2]) }]]),
+        list: [new Date(1), 'text', 2, null, true],
+        skipped: undefined
+      };
+
+      const revived = deserialize(serialize(data));
+
+      assert.ok(revived.date instanceof Date);
+      assert.equal(revived.date.toISOString(), '2030-01-01T00:00:00.000Z');
+      assert.ok(isNaN(revived.invalidDate.getTime()));
+      assert.ok(Buffer.isBuffer(revived.buffer));
+      assert.equal(revived.buffer.toString(), 'hello');
+      assert.strictEqual(revived.big, 12345678901234567890n);
+      assert.ok(revived.map instanceof Map);
+      assert.equal(revived.map.get('a'), 1);
+
+      const dateKey = [...revived.map.keys()][1];
+      assert.ok(dateKey instanceof Date);
+      assert.deepEqual([...revived.map.get(dateKey).nested], [1, 2]);
+
+      assert.equal(revived.list[0].getTime(), 1);
+      assert.deepEqual(revived.list.slice(1), ['text', 2, null, true]);
+      assert.ok(!('skipped' in revived));
+    });
+
+    it('does not revive objects that happen to have a `$type`', function() {
+      const { serialize, deserialize } = serializers.richJson();
+
+      const data = { $type: 'Date', value: 'not a date' };
+
+      assert.deepEqual(deserialize(serialize(data)), data);
+    });
+
+    it('reads plain JSON', function() {
+      assert.deepEqual(serializers.richJson().deserialize('{"foo":[1,2]}'), { foo: [1, 2] });
+    });
+
+  });
+
+  describe('gzip()', function() {
+
+    it('only compresses data over the threshold', function() {
+      const { serialize, deserialize } = serializers.gzip({ thresholdBytes: 20 });
+
+      assert.equal(serialize({ a: 1 }), '{"a":1}');
+
+      const large = { text: 'a'.repeat(1000) };
+      const compressed = serialize(large);
+
+      assert.ok(compressed.startsWith('gz:'));
+      assert.ok(compressed.length < 100);
+      assert.deepEqual(deserialize(compressed), large);
+      assert.deepEqual(deserialize('{"a":1}'), { a: 1 });
+    });
+
+    it('wraps another serializer', function() {
+      const { serialize, deserialize } = serializers.gzip({
+        serializer: serializers.richJson(),
+        thresholdBytes: 0
+      });
+
+      const revived = deserialize(serialize({ date: new Date(5) }));
+
+      assert.equal(revived.date.getTime(), 5);
+    });
+
+    it('fails with invalid options', function() {
+      assert.throws(
+        () => serializers.gzip({ thresholdBytes: -1 }),
+        {
+          name: 'TypeError',
+          message: '`thresholdBytes` must be a non-negative number'
+        }
+      );
+
+      assert.throws(
+        () => serializers.gzip({ serializer: {} }),
+        {
+          name: 'TypeError',
+          message: '`serializer` must have `serialize` and `deserialize` functions'
+        }
+      );
+    });
+
+  });
+
+  describe('encrypted()', function() {
+
+    const oldKey = crypto.randomBytes(32);
+    const newKey = crypto.randomBytes(32);
+
+    it('encrypts data', function() {
+      const { serialize, deserialize } = serializers.encrypted({ keys: { v1: oldKey } });
+
+      const serialized = serialize({ secret: 'hunter2' });
+
+      assert.ok(serialized.startsWith('enc:v1:'));
+      assert.ok(!serialized.includes('hunter2'));
+      assert.notEqual(serialize({ secret: 'hunter2' }), serialized);
+      assert.deepEqual(deserialize(serialized), { secret: 'hunter2' });
+    });
+
+    it('rotates keys', function() {
+      const before = serializers.encrypted({ keys: { v1: oldKey } });
+      const after = serializers.encrypted({
+        keys: { v1: oldKey, v2: newKey.toString('base64') },
+        keyId: 'v2'
+      });
+
+      const old = before.serialize({ n: 1 });
+      const rotated = after.serialize({ n: 2 });
+
+      assert.ok(rotated.startsWith('enc:v2:'));
+      assert.deepEqual(after.deserialize(old), { n: 1 });
+      assert.deepEqual(after.deserialize(rotated), { n: 2 });
+
+      assert.throws(
+        () => before.deserialize(rotated),
+        { message: 'Unknown encryption key `v2`' }
+      );
+    });
+
+    it('rejects data that has been tampered with', function() {
+      const { serialize, deserialize } = serializers.encrypted({ keys: { v1: oldKey } });
+
+      const parts = serialize({ n: 1 }).split(':');
+      const ciphertext = Buffer.from(parts[4], 'base64');
+      ciphertext[0] ^= 1;
+      parts[4] = ciphertext.toString('base64');
+
+      assert.throws(() => deserialize(parts.join(':')));
+    });
+
+    it('reads data that is not encrypted', function() {
+      const { deserialize } = serializers.encrypted({ keys: { v1: oldKey } });
+
+      assert.deepEqual(deserialize('{"n":1}'), { n: 1 });
+    });
+
+    it('wraps another serializer', function() {
+      const { serialize, deserialize } = serializers.encrypted({
+        serializer: serializers.gzip({ serializer: serializers.richJson(), thresholdBytes: 0 }),
+        keys: { v1: oldKey }
+      });
+
+      assert.equal(deserialize(serialize({ date: new Date(5) })).date.getTime(), 5);
+    });
+
+    it('fails with invalid keys', function() {
+      const invalid = [undefined, {}, { v1: 'short' }, { 'v:1': oldKey }];
+
+      for (const keys of invalid) {
+        assert.throws(
+          () => serializers.encrypted({ keys }),
+          {
+            name: 'TypeError',
+            message: '`keys` must map key IDs to 32-byte keys'
+          }
+        );
+      }
+
+      for (const keyId of [undefined, 'v3']) {
+        assert.throws(
+          () => serializers.encrypted({ keys: { v1: oldKey, v2: newKey }, keyId }),
+          {
+            name: 'TypeError',
+            message: '`keyId` must be one of `keys`'
+          }
+        );
+      }
+    });
+
+  });
+
+  describe('fingerprint()', function() {
+
+    it('is the same for equal data', function() {
+      const a = serializers.fingerprint({ date: new Date(0), n: 1 });
+
+      assert.equal(serializers.fingerprint({ date: new Date(0), n: 1 }), a);
+      assert.notEqual(serializers.fingerprint({ date: new Date(1), n: 1 }), a);
+      assert.notEqual(serializers.fingerprint(new Map([['n', 1]])), serializers.fingerprint(new Map([['n', 2]])));
+    });
+
+  });
+
+});
@@ -1,9 +1,14 @@
 const assert = require('assert');
+const crypto = require('crypto');
 const sinon = require('sinon');
 const redis = require('redis');
+const IORedis = require('ioredis');
 const { validate: uuidValidate } = require('uuid');
 
-const { DelayedTasks } = require('../index');
+const { DelayedTasks, DelayedTasksManager, MemoryStore, MetricsCollector, serializers } = require('../index');
+const { nextRun } = require('../lib/schedule');
+const scripts = require('../lib/scripts');
+const { hasServer } = require('./helpers/server');
 
 /**
  * Checks that the supplied `DelayedTasks` object is valid.
@@ -13,716 +18,4467 @@ function isValidTasksObject(dt) {
   assert.ok(dt.redisClient);
   assert.ok(dt.redisKey);
   assert.ok(dt.pollIntervalMs);
-  assert.equal(dt.pollIntervalId, null);
+  assert.equal(dt.isPolling, false);
 }
 
+// The redis client the tests use, or `null` if there's no server and they
+// run against `testStore` instead (see `test/helpers/server.js`), and the
+// `redis` setting for queues under test: one or the other
 var testClient;
+var testStore;
+var testRedis;
 
 const testTaskId = 'test';
 
 /**
- * Creates a standard, redis-mocked `DelayedTasks` object.
+ * Creates a standard, redis-mocked `DelayedTasks` object, with any `options`.
  */
-async function createTasksObject(callback) {
+async function createTasksObject(callback, options) {
   const dt = new DelayedTasks({
-    redis: testClient,
+    redis: testRedis,
     id: testTaskId,
-    callback: callback || (() => {})
+    callback: callback || (() => {}),
+    options
   });
 
   return dt;
 }
 
-function clearQueue() {
-  return new Promise((resolve, reject) => {
-    testClient.zremrangebyscore(`delayed:${testTaskId}`, '-inf', 'inf', (err) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve();
-      }
-    })
-  });
+/**
+ * Skips a test (or, from a `before` hook, a suite) that needs a redis server
+ * when the tests are running against the memory backend.
+ */
+function requireServer(context) {
+  if (testClient === null) {
+    context.skip();
+  }
 }
 
 /**
- * This is pretty much just a wrapper method for `zrangebyscore`, wrapped in
- * a promise.
+ * Waits for callbacks (and the redis writes that follow them) to finish.
  */
-function getTasksUntil(end) {
-  return new Promise((resolve, reject) => {
-    testClient.zrange(`delayed:${testTaskId}`, 0, end, (err, tasks) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(tasks.map(t => JSON.parse(t)));
-      }
-    });
-  });
+function settle() {
+  return new Promise(r => setTimeout(r, 50));
 }
 
-before(async function() {
-  testClient = redis.createClient({
-    legacyMode: true
-  });
+/**
+ * Commands for reading and writing keys directly, on the redis server or in
+ * the memory store, whichever the tests are running against.
+ */
+const raw = {
 
-  testClient.on("error", err => {
-    if (!(err instanceof redis.SocketClosedUnexpectedlyError)) {
-      console.error(err);
+  async del(...keys) {
+    if (testClient === null) {
+      keys.forEach(key => testStore.del(key));
+    } else {
+      await testClient.v4.del(keys);
     }
+  },
+
+  async exists(key) {
+    return (testClient === null) ? Number(testStore.keys.has(key)) : testClient.v4.exists(key);
+  },
+
+  async zadd(key, score, member) {
+    return (testClient === null) ? testStore.zadd(key, score, member) : testClient.v4.zAdd(key, { score, value: member });
+  },
+
+  async zcard(key) {
+    return (testClient === null) ? testStore.zcard(key) : testClient.v4.zCard(key);
+  },
+
+  async zrange(key, start, stop) {
+    return (testClient === null) ? testStore.zrange(key, start, stop) : testClient.v4.zRange(key, start, stop);
+  },
+
+  async hget(key, field) {
+    return (testClient === null) ? testStore.hget(key, field) : testClient.v4.hGet(key, field);
+  },
+
+  async hset(key, field, value) {
+    return (testClient === null) ? testStore.hset(key, field, value) : testClient.v4.hSet(key, field, value);
+  },
+
+  async hkeys(key) {
+    return (testClient === null) ? [...(testStore.keys.get(key)?.keys() || [])] : testClient.v4.hKeys(key);
+  }
+
+};
+
+function clearQueue() {
+  return raw.del(`delayed:${testTaskId}`, `delayed:${testTaskId}:tasks`, `delayed:${testTaskId}:processing`, `delayed:${testTaskId}:dead`, `delayed:${testTaskId}:dead:tasks`, `delayed:${testTaskId}:recurring`);
+}
+
+/**
+ * This is pretty much just a wrapper method for `zrange` that looks up the
+ * stored task for each ID in the ZSET.
+ */
+async function getTasksUntil(end) {
+  const taskIds = await raw.zrange(`delayed:${testTaskId}`, 0, end);
+  const tasks = await Promise.all(taskIds.map(taskId => raw.hget(`delayed:${testTaskId}:tasks`, taskId)));
+
+  return tasks.map(t => {
+    const task = JSON.parse(t);
+    task.data = JSON.parse(task.data);
+    return task;
   });
+}
 
-  await testClient.connect()
+/**
+ * Gets the stored task with the given ID, without parsing its payload.
+ */
+async function getStoredTask(taskId) {
+  return JSON.parse(await raw.hget(`delayed:${testTaskId}:tasks`, taskId));
+}
 
-  await clearQueue()
-})
+/**
+ * Gets the IDs of all in-flight tasks (in reliable mode).
+ */
+function getInFlightIds() {
+  return raw.zrange(`delayed:${testTaskId}:processing`, 0, -1);
+}
 
-afterEach(async function() {
-  await clearQueue()
-})
+/**
+ * Gets the IDs of all tasks in the task hash, whether pending or in-flight.
+ */
+function getStoredIds() {
+  return raw.hkeys(`delayed:${testTaskId}:tasks`);
+}
 
-after(async function() {
-  await testClient.disconnect();
-})
+describe('DelayedTasks', function() {
 
-describe('constructor', function() {
+  before(async function() {
+    if (!await hasServer()) {
+      testClient = null;
+      testStore = new MemoryStore();
+      testRedis = { backend: 'memory', store: testStore };
+      return;
+    }
 
-  it('should create redis client with existing client', async function() {
-    const client = redis.createClient({
+    testClient = redis.createClient({
       legacyMode: true
     });
 
-    const dt = new DelayedTasks({
-      redis: client,
-      id: testTaskId,
-      callback: () => {}
+    testClient.on("error", err => {
+      if (!(err instanceof redis.SocketClosedUnexpectedlyError)) {
+        console.error(err);
+      }
     });
 
-    isValidTasksObject(dt);
+    await testClient.connect()
 
-    await dt.close()
-  });
+    testRedis = testClient;
+    await clearQueue()
+  })
+
+  afterEach(async function() {
+    await clearQueue()
+  })
+
+  after(async function() {
+    if (testClient !== null) {
+      await testClient.disconnect();
+    }
+  })
 
-  it('should create redis client with provided object', async function() {
-    const dt = new DelayedTasks({
-      redis: {},
-      id: testTaskId,
-      callback: () => {}
+  describe('constructor', function() {
+
+    it('should create redis client with existing client', async function() {
+      const client = redis.createClient({
+        legacyMode: true
+      });
+
+      const dt = new DelayedTasks({
+        redis: client,
+        id: testTaskId,
+        callback: () => {}
+      });
+
+      isValidTasksObject(dt);
+
+      await dt.close()
     });
 
-    isValidTasksObject(dt);
+    it('should create redis client with provided object', async function() {
+      requireServer(this);
 
-    assert.ok(dt.selfContainedResis)
+      const dt = new DelayedTasks({
+        redis: {},
+        id: testTaskId,
+        callback: () => {}
+      });
 
-    // Make sure it can't start yet since it hasn't connected
-    started = dt.start()
-    assert.strictEqual(started, false);
+      isValidTasksObject(dt);
 
-    // Test connect
-    await dt.connect();
-    assert.ok(dt.redisClient.isReady);
+      assert.ok(dt.selfContainedResis)
 
-    // for coverage, connect again to have it skipped
-    await dt.connect();
+      // Make sure it can't start yet since it hasn't connected
+      started = dt.start()
+      assert.strictEqual(started, false);
 
-    // This will also close the internal client
-    await dt.close()
-  });
+      // Test connect
+      await dt.connect();
+      assert.ok(dt.redisClient.isReady);
 
-  it('fails when no settings provided', function() {
-    assert.throws(
-      () => {
-        try {
-          const dt = new DelayedTasks();
-        } catch (e) {
-          throw e;
+      // for coverage, connect again to have it skipped
+      await dt.connect();
+
+      // This will also close the internal client
+      await dt.close()
+    });
+
+    it('fails when no settings provided', function() {
+      assert.throws(
+        () => {
+          try {
+            const dt = new DelayedTasks();
+          } catch (e) {
+            throw e;
+          }
+        },
+        {
+          name: 'TypeError',
+          message: 'No constructor settings specified'
         }
-      },
-      {
-        name: 'TypeError',
-        message: 'No constructor settings specified'
-      }
-    );
-  });
+      );
+    });
 
-  it('fails when redis object is missing', function() {
-    assert.throws(
-      () => {
-        try {
-          const dt = new DelayedTasks({
-            id: testTaskId,
-            callback: () => {}
-          });
-        } catch (e) {
-          throw e;
+    it('fails when redis object is missing', function() {
+      assert.throws(
+        () => {
+          try {
+            const dt = new DelayedTasks({
+              id: testTaskId,
+              callback: () => {}
+            });
+          } catch (e) {
+            throw e;
+          }
+        },
+        {
+          name: 'TypeError',
+          message: 'Invalid redis connection options'
         }
-      },
-      {
-        name: 'TypeError',
-        message: 'Invalid redis connection options'
-      }
-    );
-  });
+      );
+    });
 
-  it('fails when an invalid redis object is provided', function() {
-    assert.throws(
-      () => {
-        try {
-          const dt = new DelayedTasks({
-            redis: false,
-            id: testTaskId,
-            callback: () => {}
+    it('fails when an invalid redis object is provided', function() {
+      assert.throws(
+        () => {
+          try {
+            const dt = new DelayedTasks({
+              redis: false,
+              id: testTaskId,
+              callback: () => {}
+            });
+          } catch (e) {
+            throw e;
+          }
+        },
+        {
+          name: 'TypeError',
+          message: 'Invalid redis connection options'
+        }
+      );
+    });
+
+    it('fails when an invalid callback is provided', function() {
+      assert.throws(
+        () => {
+          const client = redis.createClient({
+            legacyMode: true
           });
-        } catch (e) {
-          throw e;
+
+          try {
+            const dt = new DelayedTasks({
+              redis: client,
+              id: testTaskId,
+              callback: true
+            });
+          } catch (e) {
+            throw e;
+          } finally {
+            client.quit();
+          }
+        },
+        {
+          name: 'TypeError',
+          message: 'Invalid callback function specified'
         }
-      },
-      {
-        name: 'TypeError',
-        message: 'Invalid redis connection options'
-      }
-    );
-  });
+      );
+    });
 
-  it('fails when an invalid callback is provided', function() {
-    assert.throws(
-      () => {
-        const client = redis.createClient({
-          legacyMode: true
-        });
+    it('allows the callback to be omitted', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId
+      });
 
-        try {
-          const dt = new DelayedTasks({
-            redis: client,
-            id: testTaskId,
-            callback: true
+      assert.strictEqual(dt.callback, null);
+      assert.equal(dt.handlers.size, 0);
+
+      await dt.close()
+    });
+
+    it('fails when id is missing', function() {
+      assert.throws(
+        () => {
+          const client = redis.createClient({
+            legacyMode: true
           });
-        } catch (e) {
-          throw e;
-        } finally {
-          client.quit();
+
+          try {
+            const dt = new DelayedTasks({
+              redis: client,
+              callback: () => {}
+            });
+          } catch (e) {
+            throw e;
+          } finally {
+            client.quit();
+          }
+        },
+        {
+          name: 'TypeError',
+          message: 'Invalid queue ID specified'
         }
-      },
-      {
-        name: 'TypeError',
-        message: 'Invalid callback function specified'
-      }
-    );
-  });
+      );
+    });
 
-  it('fails when id is missing', function() {
-    assert.throws(
-      () => {
-        const client = redis.createClient({
-          legacyMode: true
-        });
+    it('fails when id is invalid', function() {
+      assert.throws(
+        () => {
+          const client = redis.createClient({
+            legacyMode: true
+          });
 
-        try {
-          const dt = new DelayedTasks({
-            redis: client,
+          try {
+            const dt = new DelayedTasks({
+              id: true,
+              redis: client,
+              callback: () => {}
+            });
+          } catch (e) {
+            throw e;
+          }
+        },
+        {
+          name: 'TypeError',
+          message: 'Invalid queue ID specified'
+        }
+      );
+    });
+
+    it('fails when id would overlap another queue\'s keys', function() {
+      ['jobs:tasks', 'jobs:processing', 'jobs:dead:tasks', 'jobs:recurring', 'wakeup'].forEach(id => {
+        assert.throws(
+          () => new DelayedTasks({
+            id,
+            redis: { backend: 'memory' },
             callback: () => {}
-          });
-        } catch (e) {
-          throw e;
-        } finally {
-          client.quit();
+          }),
+          {
+            name: 'TypeError',
+            message: 'Invalid queue ID specified: it can\'t end in `tasks`, `processing`, `dead`, `recurring` or `wakeup` after a `:`'
+          }
+        );
+      });
+    });
+
+    it('uses default `pollIntervalMs` if invalid', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: {},
+        callback: () => {},
+        options: {
+          pollIntervalMs: true
         }
-      },
-      {
-        name: 'TypeError',
-        message: 'Invalid queue ID specified'
-      }
-    );
-  });
+      });
 
-  it('fails when id is invalid', function() {
-    assert.throws(
-      () => {
-        const client = redis.createClient({
-          legacyMode: true
-        });
+      isValidTasksObject(dt);
+      assert.equal(dt.pollIntervalMs, 1000);
 
-        try {
-          const dt = new DelayedTasks({
-            id: true,
-            redis: client,
-            callback: () => {}
-          });
-        } catch (e) {
-          throw e;
+      await dt.close();
+    });
+
+    it('uses reliable mode defaults', async function() {
+      const dt = await createTasksObject();
+
+      assert.strictEqual(dt.reliable, false);
+      assert.strictEqual(dt.visibilityTimeoutMs, 30000);
+      assert.strictEqual(dt.autoAck, true);
+
+      await dt.close();
+    });
+
+    it('allows for custom reliable mode options', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: {
+          reliable: true,
+          visibilityTimeoutMs: 5000,
+          autoAck: false
         }
-      },
-      {
-        name: 'TypeError',
-        message: 'Invalid queue ID specified'
-      }
-    );
-  });
+      });
 
-  it('uses default `pollIntervalMs` if invalid', async function() {
-    const dt = new DelayedTasks({
-      id: testTaskId,
-      redis: {},
-      callback: () => {},
-      options: {
-        pollIntervalMs: true
-      }
+      assert.strictEqual(dt.reliable, true);
+      assert.strictEqual(dt.visibilityTimeoutMs, 5000);
+      assert.strictEqual(dt.autoAck, false);
+
+      await dt.close();
     });
 
-    isValidTasksObject(dt);
-    assert.equal(dt.pollIntervalMs, 1000);
+    it('uses default `batchSize` and `concurrency` values', async function() {
+      const dt = await createTasksObject();
 
-    await dt.close();
-  });
+      assert.strictEqual(dt.batchSize, Infinity);
+      assert.strictEqual(dt.concurrency, Infinity);
 
-  it('allows for a custom `pollIntervalMs` value', async function() {
-    const dt = new DelayedTasks({
-      id: testTaskId,
-      redis: {},
-      callback: () => {},
-      options: {
-        pollIntervalMs: 100
-      }
+      await dt.close();
     });
 
-    isValidTasksObject(dt);
-    assert.equal(dt.pollIntervalMs, 100);
+    it('allows for custom `batchSize` and `concurrency` values', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: {
+          batchSize: 10,
+          concurrency: 5
+        }
+      });
 
-    await dt.close();
-  });
+      assert.strictEqual(dt.batchSize, 10);
+      assert.strictEqual(dt.concurrency, 5);
 
-});
+      await dt.close();
+    });
 
-describe('add()', function() {
+    it('uses the default redis keys', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: { keyPrefix: '' }
+      });
 
-  it('fails with an invalid delay', async function() {
-    const dt = await createTasksObject();
+      assert.equal(dt.redisKey, `delayed:${ testTaskId }`);
+      assert.equal(dt.tasksKey, `delayed:${ testTaskId }:tasks`);
+      assert.equal(dt.deadTasksKey, `delayed:${ testTaskId }:dead:tasks`);
 
-    try {
-      await dt.add(false, {});
-      assert.fail('The expected error was not thrown');
+      await dt.close();
+    });
 
-    } catch (e) {
-      assert.throws(
-        () => {throw e},
-        {
-          name: 'TypeError',
-          message: '`delayMs` must be a positive integer'
+    it('allows for a custom `keyPrefix` and a hash tag', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: {
+          keyPrefix: 'myapp:delayed',
+          hashTag: true
         }
-      );
-    } finally {
-      await dt.close()
-    }
-  });
+      });
 
-  it('fails with a non-positive delay', async function() {
-    const dt = await createTasksObject();
+      const keys = [dt.redisKey, dt.tasksKey, dt.processingKey, dt.deadKey, dt.deadTasksKey, dt.recurringKey];
 
-    try {
-      await dt.add(0, {});
-      assert.fail('The expected error was not thrown');
+      assert.deepEqual(keys, [
+        `myapp:delayed:{${ testTaskId }}`,
+        `myapp:delayed:{${ testTaskId }}:tasks`,
+        `myapp:delayed:{${ testTaskId }}:processing`,
+        `myapp:delayed:{${ testTaskId }}:dead`,
+        `myapp:delayed:{${ testTaskId }}:dead:tasks`,
+        `myapp:delayed:{${ testTaskId }}:recurring`
+      ]);
 
-    } catch (e) {
-      assert.throws(
-        () => {throw e},
-        {
-          name: 'TypeError',
-          message: '`delayMs` must be a positive integer'
+      await dt.close();
+    });
+
+    it('stores tasks under its own keys', async function() {
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: cb,
+        options: {
+          keyPrefix: 'other',
+          hashTag: true
         }
-      );
-    } finally {
-      await dt.close()
-    }
-  });
+      });
 
-  it('fails with an undefined data object', async function() {
-    const dt = await createTasksObject();
+      const taskId = await dt.addAt(new Date(), { foo: 'bar' });
 
-    try {
-      await dt.add(1);
-      assert.fail('The expected error was not thrown');
+      // Nothing is stored under the default keys
+      assert.deepEqual(await getTasksUntil(-1), []);
+      assert.equal(await raw.zcard(`other:{${ testTaskId }}`), 1);
 
-    } catch (e) {
-      assert.throws(
-        () => {throw e},
-        {
-          name: 'TypeError',
-          message: 'No value provided for `data`'
+      assert.equal(await dt.poll(), 1);
+      assert.ok(cb.calledOnceWith({ foo: 'bar' }, taskId));
+      assert.equal(await raw.exists(dt.tasksKey), 0);
+
+      await dt.close();
+    });
+
+    it('uses a default retry policy', async function() {
+      const dt = await createTasksObject();
+
+      assert.deepEqual(dt.retry, {
+        maxAttempts: 1,
+        backoff: 'exponential',
+        delayMs: 1000,
+        maxDelayMs: 3600000,
+        jitter: 0
+      });
+      assert.strictEqual(dt.deadLetter, true);
+
+      await dt.close();
+    });
+
+    it('allows for a custom retry policy', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: {
+          retry: {
+            maxAttempts: 5,
+            backoff: 'fixed',
+            delayMs: 200,
+            maxDelayMs: 1000,
+            jitter: true
+          },
+          deadLetter: false
         }
-      );
-    } finally {
-      await dt.close()
-    }
-  });
+      });
+
+      assert.deepEqual(dt.retry, {
+        maxAttempts: 5,
+        backoff: 'fixed',
+        delayMs: 200,
+        maxDelayMs: 1000,
+        jitter: 1
+      });
+      assert.strictEqual(dt.deadLetter, false);
+
+      await dt.close();
+    });
 
-  it('fails with a null data object', async function() {
-    const dt = await createTasksObject();
+    it('ignores invalid retry policy values', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: {
+          retry: {
+            maxAttempts: 1.5,
+            backoff: 'linear',
+            delayMs: -1,
+            maxDelayMs: '1000',
+            jitter: 2
+          }
+        }
+      });
 
-    try {
-      await dt.add(1, null);
-      assert.fail('The expected error was not thrown');
+      assert.deepEqual(dt.retry, {
+        maxAttempts: 1,
+        backoff: 'exponential',
+        delayMs: 1000,
+        maxDelayMs: 3600000,
+        jitter: 0
+      });
 
-    } catch (e) {
-      assert.throws(
-        () => {throw e},
-        {
-          name: 'TypeError',
-          message: 'No value provided for `data`'
+      await dt.close();
+    });
+
+    it('allows for a custom `pollIntervalMs` value', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: {},
+        callback: () => {},
+        options: {
+          pollIntervalMs: 100
         }
-      );
-    } finally {
-      await dt.close()
-    }
+      });
+
+      isValidTasksObject(dt);
+      assert.equal(dt.pollIntervalMs, 100);
+
+      await dt.close();
+    });
+
   });
 
-  it('adds delayed tasks', async function() {
-    const dt = await createTasksObject();
+  describe('add()', function() {
+
+    it('fails with an invalid delay', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.add(false, {});
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`delayMs` must be a positive integer'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+    it('fails with a non-positive delay', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.add(0, {});
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`delayMs` must be a positive integer'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
 
-    const now = new Date().getTime();
+    it('fails with an undefined data object', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.add(1);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: 'No value provided for `data`'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
 
-    const tasksToAdd = [
-      {
-        delay: 10000,
-        data: { foo: 'bar' }
-      },
-      {
-        delay: 25000,
-        data: { foo: 'baz' }
-      },
-      {
-        delay: 15000,
-        data: { foo: 'ban' }
-      },
-      {
-        delay: 100,
-        data: { foo: 'first' }
+    it('fails with a null data object', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.add(1, null);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: 'No value provided for `data`'
+          }
+        );
+      } finally {
+        await dt.close()
       }
-    ];
+    });
+
+    it('adds delayed tasks', async function() {
+      const dt = await createTasksObject();
+
+      const now = new Date().getTime();
+
+      const tasksToAdd = [
+        {
+          delay: 10000,
+          data: { foo: 'bar' }
+        },
+        {
+          delay: 25000,
+          data: { foo: 'baz' }
+        },
+        {
+          delay: 15000,
+          data: { foo: 'ban' }
+        },
+        {
+          delay: 100,
+          data: { foo: 'first' }
+        }
+      ];
 
-    let maxDelay = 0;
-    try {
+      let maxDelay = 0;
+      try {
 
-      // Add all test tasks
-      for (let i=0;i<tasksToAdd.length;i++) {
-        tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
+        // Add all test tasks
+        for (let i=0;i<tasksToAdd.length;i++) {
+          tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
 
-        // Validate ID
-        assert.ok(uuidValidate(tasksToAdd[i].id));
+          // Validate ID
+          assert.ok(uuidValidate(tasksToAdd[i].id));
 
-        if (tasksToAdd[i].delay > maxDelay) {
-          maxDelay = tasksToAdd[i].delay;
+          if (tasksToAdd[i].delay > maxDelay) {
+            maxDelay = tasksToAdd[i].delay;
+          }
         }
+
+      } catch (e) {
+        console.error(e);
+        assert.fail('Unexpected error');
       }
 
-    } catch (e) {
-      console.error(e);
-      assert.fail('Unexpected error');
-    }
+      const tasks = await getTasksUntil(new Date().getTime() + maxDelay);
 
-    const tasks = await getTasksUntil(new Date().getTime() + maxDelay);
+      // Check total results
+      assert.equal(tasks.length, tasksToAdd.length);
 
-    // Check total results
-    assert.equal(tasks.length, tasksToAdd.length);
+      // Sort `tasksToAdd` by delay time to match result from zrange
+      tasksToAdd.sort((a, b) => (a.delay <= b.delay) ? -1 : 1);
 
-    // Sort `tasksToAdd` by delay time to match result from zrange
-    tasksToAdd.sort((a, b) => (a.delay <= b.delay) ? -1 : 1);
+      // Check all time-sorted results
+      for (let i=0;i<tasks.length;i++) {
+        assert.equal(tasks[i].id, tasksToAdd[i].id);
+        assert.deepEqual(tasks[i].data, tasksToAdd[i].data);
 
-    // Check all time-sorted results
-    for (let i=0;i<tasks.length;i++) {
-      assert.equal(tasks[i].id, tasksToAdd[i].id);
-      assert.deepEqual(tasks[i].data, tasksToAdd[i].data);
+        // NOTE: We can't accurately check the `due` property from redis
+        // because the clock may change during the test. That said, `poll()` tests
+        // later on will confirm that the zset works correctly.
+      }
 
-      // NOTE: We can't accurately check the `due` property from redis
-      // because the clock may change during the test. That said, `poll()` tests
-      // later on will confirm that the zset works correctly.
-    }
+      await dt.close()
+    });
 
-    await dt.close()
   });
 
-});
+  describe('redis clients', function() {
 
-it('start/stop/close', async function() {
-  const dt = await createTasksObject();
+    before(function() {
+      requireServer(this);
+    });
 
-  // Should be null after init
-  assert.equal(dt.pollIntervalId, null);
+    /**
+     * Adds a task that's due straight away and polls for it.
+     */
+    async function addAndPoll(dt) {
+      const taskId = await dt.addAt(new Date(), { foo: 'bar' });
 
-  // Is the interval ID after start()
-  started = dt.start();
-  assert.ok(started);
-  assert.ok(dt.pollIntervalId);
+      assert.equal(await dt.count(), 1);
+      assert.equal(await dt.poll(), 1);
 
-  // Is empty after stop
-  dt.stop();
-  assert.equal(dt.pollIntervalId, null);
+      return taskId;
+    }
 
-  // Start again
-  started = dt.start();
-  assert.ok(started);
-  assert.ok(dt.pollIntervalId);
+    it('works with a node-redis client that is not in legacy mode', async function() {
+      const client = redis.createClient();
+      await client.connect();
 
-  // Close and test interval again
-  await dt.close();
-  assert.equal(dt.pollIntervalId, null);
-});
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        redis: client,
+        id: testTaskId,
+        callback: cb
+      });
 
-describe('poll', function() {
+      const taskId = await addAndPoll(dt);
 
-  it('works with no delayed tasks', async function() {
-    const cb = sinon.stub();
-    const dt = await createTasksObject(cb);
+      assert.ok(cb.calledOnceWith({ foo: 'bar' }, taskId));
 
-    const tasksRemoved = await dt.poll();
+      await dt.close();
+      await client.disconnect();
+    });
 
-    // Ensure that we didn't process any tasks
-    assert.equal(tasksRemoved, 0);
-    assert.equal(cb.callCount, 0);
+    it('does not create clients in legacy mode', async function() {
+      const dt = new DelayedTasks({
+        redis: {},
+        id: testTaskId,
+        callback: () => {}
+      });
 
-    // Ensure that all tasks were removed
-    tasks = await getTasksUntil(new Date().getTime() + 100000000);
-    assert.equal(tasks.length, 0);
+      assert.ok(!dt.redisClient.options?.legacyMode);
 
-    await dt.close()
-  });
+      await dt.connect();
+      await addAndPoll(dt);
+      await dt.close();
+    });
 
-  it('works when all delayed tasks are due', async function() {
-    const cb = sinon.stub();
-    const dt = await createTasksObject(cb);
-
-    // Add some tasks
-    const tasksToAdd = [
-      {
-        delay: 100,
-        data: { foo: 'bar' }
-      },
-      {
-        delay: 300,
-        data: { foo: 'baz' }
-      },
-      {
-        delay: 200,
-        data: { foo: 'ban' }
-      },
-      {
-        delay: 50,
-        data: { foo: 'first' }
-      }
-    ];
-
-    let maxDelay = 0;
-    try {
-
-      // Add all test tasks
-      for (let i=0;i<tasksToAdd.length;i++) {
-        tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
-
-        if (tasksToAdd[i].delay > maxDelay) {
-          maxDelay = tasksToAdd[i].delay;
-        }
-      }
-
-    } catch (e) {
-      console.error(e);
-      assert.fail('Unexpected error');
-    }
+    it('works with an ioredis client', async function() {
+      const client = new IORedis();
 
-    // Wait for tasks to come due
-    await new Promise(r => setTimeout(r, maxDelay + 1));
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        redis: client,
+        id: testTaskId,
+        callback: cb
+      });
 
-    const tasksRemoved = await dt.poll();
+      // ioredis clients connect by themselves, so this waits until it's ready
+      await dt.connect();
+      assert.ok(dt.start());
 
-    // Check that tasks were processed
-    assert.equal(tasksRemoved, tasksToAdd.length);
-    assert.equal(cb.callCount, tasksToAdd.length);
-    tasksToAdd.forEach(t => assert.equal(cb.calledWith(t.data, t.id), true));
+      await dt.stop();
 
-    // Ensure that all tasks were removed
-    tasks = await getTasksUntil(new Date().getTime() + 100000000);
-    assert.equal(tasks.length, 0);
+      const taskId = await addAndPoll(dt);
 
-    await dt.close()
-  });
+      assert.ok(cb.calledOnceWith({ foo: 'bar' }, taskId));
+      assert.equal(await dt.get(taskId), null);
 
-  it('works when some delayed tasks are due', async function() {
-    const cb = sinon.stub();
-    const dt = await createTasksObject(cb);
-
-    // Add some tasks
-    const tasksToAdd = [
-      {
-        delay: 100,
-        data: { foo: 'bar' }
-      },
-      {
-        delay: 300,
-        data: { foo: 'baz' }
-      },
-      {
-        delay: 200,
-        data: { foo: 'ban' }
-      },
-      {
-        delay: 50,
-        data: { foo: 'first' }
-      }
-    ];
-
-    let maxDelay = 0;
-    try {
-
-      // Add all test tasks
-      for (let i=0;i<tasksToAdd.length;i++) {
-        tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
-
-        if (tasksToAdd[i].delay > maxDelay) {
-          maxDelay = tasksToAdd[i].delay;
-        }
-      }
-
-    } catch (e) {
-      console.error(e);
-      assert.fail('Unexpected error');
-    }
+      await dt.close();
+      await client.quit();
+    });
 
-    // ADD 2 MORE TASKS DUE MUCH LATER
-    await Promise.all([
-      dt.add(10000, { deferred: 1 }),
-      dt.add(11000, { deferred: 2 })
-    ]);
+    it('connects an ioredis client with `lazyConnect`', async function() {
+      const client = new IORedis({ lazyConnect: true });
 
-    // Wait for tasks to come due
-    await new Promise(r => setTimeout(r, maxDelay + 1));
+      const dt = new DelayedTasks({
+        redis: client,
+        id: testTaskId,
+        callback: () => {}
+      });
 
-    const tasksRemoved = await dt.poll();
+      assert.equal(dt.start(), false);
 
-    // Check that tasks were processed
-    assert.equal(tasksRemoved, tasksToAdd.length);
-    assert.equal(cb.callCount, tasksToAdd.length);
-    tasksToAdd.forEach(t => assert.equal(cb.calledWith(t.data, t.id), true));
+      await dt.connect();
+      assert.equal(client.status, 'ready');
 
-    // Ensure that correct tasks were removed
-    tasks = await getTasksUntil(new Date().getTime() + 100000000);
-    assert.equal(tasks.length, 2);
-    assert.deepEqual(tasks[0].data, { deferred: 1 });
-    assert.deepEqual(tasks[1].data, { deferred: 2 });
+      await dt.close();
+      await client.quit();
+    });
 
-    await dt.close()
   });
 
-  it('works when all tasks are delayed', async function() {
-    const cb = sinon.stub();
-    const dt = await createTasksObject(cb);
-
-    // Add some tasks
-    const tasksToAdd = [
-      {
-        delay: 1000,
-        data: { foo: 'bar' }
-      },
-      {
-        delay: 3000,
-        data: { foo: 'baz' }
-      },
-      {
-        delay: 2000,
-        data: { foo: 'ban' }
-      },
-      {
-        delay: 500,
-        data: { foo: 'first' }
-      }
-    ];
-
-    try {
-
-      // Add all test tasks
-      for (let i=0;i<tasksToAdd.length;i++) {
-        tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
-      }
-
-    } catch (e) {
-      console.error(e);
-      assert.fail('Unexpected error');
-    }
+  describe('addAt()', function() {
 
-    // Process immediately so that no tasks are processed
-    const tasksRemoved = await dt.poll();
+    it('fails with an invalid date', async function() {
+      const dt = await createTasksObject();
 
-    // Check that tasks were processed
-    assert.equal(tasksRemoved, 0);
-    assert.equal(cb.callCount, 0);
+      for (const date of [undefined, '2030-01-01', NaN, Infinity, new Date('invalid')]) {
+        try {
+          await dt.addAt(date, {});
+          assert.fail('The expected error was not thrown');
 
-    // Ensure that correct tasks were removed
-    tasks = await getTasksUntil(new Date().getTime() + 100000000);
-    assert.equal(tasks.length, 4);
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message: '`date` must be a valid Date or epoch milliseconds'
+            }
+          );
+        }
+      }
 
-    await dt.close()
-  });
+      await dt.close()
+    });
 
-  it('elegantly fails if key is updated during poll', async function() {
-    const cb = sinon.stub();
-    const dt = await createTasksObject(cb);
-
-    // Add some tasks
-    const tasksToAdd = [
-      {
-        delay: 100,
-        data: { foo: 'bar' }
-      },
-      {
-        delay: 300,
-        data: { foo: 'baz' }
-      },
-      {
-        delay: 200,
-        data: { foo: 'ban' }
-      },
-      {
-        delay: 50,
-        data: { foo: 'first' }
-      }
-    ];
-
-    let maxDelay = 0;
-    try {
-
-      // Add all test tasks
-      for (let i=0;i<tasksToAdd.length;i++) {
-        tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
-
-        if (tasksToAdd[i].delay > maxDelay) {
-          maxDelay = tasksToAdd[i].delay;
-        }
-      }
-
-    } catch (e) {
-      console.error(e);
-      assert.fail('Unexpected error');
-    }
+    it('fails with a null data object', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.addAt(new Date(), null);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: 'No value provided for `data`'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+    it('adds tasks at a Date or epoch milliseconds', async function() {
+      const dt = await createTasksObject();
+
+      const date = new Date(new Date().getTime() + 60000);
+      const epochMs = date.getTime() + 60000;
+
+      const dateId = await dt.addAt(date, { at: 'date' });
+      const epochId = await dt.addAt(epochMs, { at: 'epoch' });
 
-    // Wait for tasks to come due
-    await new Promise(r => setTimeout(r, maxDelay + 1));
+      assert.ok(uuidValidate(dateId));
+      assert.ok(uuidValidate(epochId));
 
-    // Poll asynchronously
-    const pollPromise = dt.poll();
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 2);
 
-    // Add another task while we're polling
-    dt.add(1000, {})
+      assert.equal(tasks[0].id, dateId);
+      assert.equal(tasks[0].due, date.getTime());
+      assert.deepEqual(tasks[0].data, { at: 'date' });
 
-    const tasksRemoved = await pollPromise;
+      assert.equal(tasks[1].id, epochId);
+      assert.equal(tasks[1].due, epochMs);
+      assert.deepEqual(tasks[1].data, { at: 'epoch' });
 
-    // Check that tasks were processed
-    assert.equal(tasksRemoved, 0);
-    assert.equal(cb.callCount, 0);
+      await dt.close()
+    });
+
+    it('runs tasks in the past as soon as possible', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const due = new Date().getTime() - 60000;
+      const taskId = await dt.addAt(due, { foo: 'bar' });
+
+      assert.equal(await dt.poll(), 1);
+      assert.ok(cb.calledWith({ foo: 'bar' }, taskId, due));
+
+      await dt.close()
+    });
 
-    // All tasks should be remaining since there was a redis transaction conflict
-    tasks = await getTasksUntil(new Date().getTime() + 100000000);
+  });
+
+  describe('cancel()', function() {
+
+    it('fails with an invalid task ID', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.cancel(42);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`taskId` must be a non-empty string'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
 
-    /// NOTE: This is 5 now because we added another during polling
-    assert.equal(tasks.length, 5);
+    it('refuses to cancel a recurring task\'s run', async function() {
+      const dt = await createTasksObject();
+
+      const runId = await dt.addRecurring('report', 60000, { report: true });
+
+      try {
+        await dt.cancel(runId);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`taskId` is a recurring task\'s run; use `removeRecurring()` instead'
+          }
+        );
+      }
+
+      // The run is still pending
+      const [recurring] = await dt.listRecurring();
+      assert.notStrictEqual(recurring.next, null);
+
+      await dt.close()
+    });
+
+    it('returns false for an unknown task', async function() {
+      const dt = await createTasksObject();
+
+      const cancelled = await dt.cancel('does-not-exist');
+      assert.strictEqual(cancelled, false);
+
+      await dt.close()
+    });
+
+    it('cancels a pending task', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const keepId = await dt.add(50, { keep: true });
+      const cancelId = await dt.add(50, { keep: false });
+
+      const cancelled = await dt.cancel(cancelId);
+      assert.strictEqual(cancelled, true);
+
+      // Cancelling again should report that it's gone
+      assert.strictEqual(await dt.cancel(cancelId), false);
+
+      // Only the remaining task should be stored
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 1);
+      assert.equal(tasks[0].id, keepId);
+
+      // ...and only the remaining task should be processed
+      await new Promise(r => setTimeout(r, 51));
+      const tasksRemoved = await dt.poll();
+
+      assert.equal(tasksRemoved, 1);
+      assert.equal(cb.callCount, 1);
+      assert.ok(cb.calledWith({ keep: true }, keepId));
+
+      await dt.close()
+    });
+
+  });
+
+  describe('purge()', function() {
+
+    it('deletes every pending task except recurring runs', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb, { reliable: true, autoAck: false });
+
+      const inFlightId = await dt.addAt(new Date(), { n: 1 });
+      assert.equal(await dt.poll(), 1);
+
+      await dt.add(50, { n: 2 });
+      await dt.add(60000, { n: 3 });
+      const runId = await dt.addRecurring('report', 60000, { report: true });
+
+      assert.equal(await dt.purge(), 2);
+      assert.equal(await dt.purge(), 0);
+
+      // The recurring run is still pending, and the in-flight task in flight
+      assert.deepEqual((await getTasksUntil(-1)).map(t => t.id), [runId]);
+      assert.deepEqual(await getInFlightIds(), [inFlightId]);
+
+      await dt.close()
+    });
+
+  });
+
+  describe('reschedule()', function() {
+
+    it('fails with an invalid task ID', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.reschedule(null, 1000);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`taskId` must be a non-empty string'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+    it('fails with an invalid delay', async function() {
+      const dt = await createTasksObject();
+
+      for (const delay of [0, -1, 'soon', new Date('invalid')]) {
+        try {
+          await dt.reschedule('some-task', delay);
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message: '`delay` must be a positive integer or a valid Date'
+            }
+          );
+        }
+      }
+
+      await dt.close()
+    });
+
+    it('returns false for an unknown task', async function() {
+      const dt = await createTasksObject();
+
+      const rescheduled = await dt.reschedule('does-not-exist', 1000);
+      assert.strictEqual(rescheduled, false);
+
+      // Make sure nothing was created
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 0);
+
+      await dt.close()
+    });
+
+    it('reschedules a pending task with a delay', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const taskId = await dt.add(50, { foo: 'bar' });
+
+      const before = new Date().getTime();
+      const rescheduled = await dt.reschedule(taskId, 10000);
+      assert.strictEqual(rescheduled, true);
+
+      // Same ID and data, but a later due time
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 1);
+      assert.equal(tasks[0].id, taskId);
+      assert.deepEqual(tasks[0].data, { foo: 'bar' });
+      assert.ok(tasks[0].due >= before + 10000);
+
+      // It shouldn't be processed at its original due time
+      await new Promise(r => setTimeout(r, 51));
+      assert.equal(await dt.poll(), 0);
+      assert.equal(cb.callCount, 0);
+
+      await dt.close()
+    });
+
+    it('reschedules a pending task with a Date', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const taskId = await dt.add(10000, { foo: 'bar' });
+
+      const due = new Date(new Date().getTime() + 50);
+      const rescheduled = await dt.reschedule(taskId, due);
+      assert.strictEqual(rescheduled, true);
+
+      // It should now be processed sooner, with the new due time
+      await new Promise(r => setTimeout(r, 51));
+      assert.equal(await dt.poll(), 1);
+      assert.equal(cb.callCount, 1);
+      assert.ok(cb.calledWith({ foo: 'bar' }, taskId, due.getTime()));
+
+      await dt.close()
+    });
+
+  });
+
+  describe('update()', function() {
+
+    it('fails with an invalid task ID', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.update('', { foo: 'bar' });
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`taskId` must be a non-empty string'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+    it('fails with a null data object', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.update('some-task', null);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: 'No value provided for `data`'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+    it('returns false for an unknown task', async function() {
+      const dt = await createTasksObject();
+
+      const updated = await dt.update('does-not-exist', { foo: 'bar' });
+      assert.strictEqual(updated, false);
+
+      // Make sure nothing was created
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 0);
+
+      await dt.close()
+    });
+
+    it('updates the data of a pending task', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const taskId = await dt.add(50, { foo: 'bar' });
+      const [original] = await getTasksUntil(-1);
+
+      const updated = await dt.update(taskId, { foo: 'baz', list: [] });
+      assert.strictEqual(updated, true);
+
+      // Same ID and due time, but new data
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 1);
+      assert.equal(tasks[0].id, taskId);
+      assert.equal(tasks[0].due, original.due);
+      assert.deepEqual(tasks[0].data, { foo: 'baz', list: [] });
+
+      // The callback gets the new data
+      await new Promise(r => setTimeout(r, 51));
+      assert.equal(await dt.poll(), 1);
+      assert.ok(cb.calledWith({ foo: 'baz', list: [] }, taskId, original.due));
+
+      await dt.close()
+    });
+
+  });
+
+  it('start/stop/close', async function() {
+    const dt = await createTasksObject();
+
+    // Should be stopped after init
+    assert.equal(dt.state, 'stopped');
+    assert.equal(dt.isPolling, false);
+
+    // Is polling after start()
+    started = dt.start();
+    assert.ok(started);
+    assert.equal(dt.state, 'polling');
+    assert.ok(dt.isPolling);
+
+    // Is stopped after stop
+    dt.stop();
+    assert.equal(dt.state, 'stopped');
+    assert.equal(dt.isPolling, false);
+
+    // Start again
+    started = dt.start();
+    assert.ok(started);
+    assert.ok(dt.isPolling);
+
+    // Close and test state again
+    await dt.close();
+    assert.equal(dt.state, 'closed');
+    assert.equal(dt.isPolling, false);
+  });
+
+  describe('polling loop', function() {
+
+    it('ignores start() while already polling', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: { pollIntervalMs: 100 }
+      });
+
+      const pollSpy = sinon.spy(dt, 'poll');
+
+      assert.ok(dt.start());
+      assert.ok(dt.start());
+      assert.ok(dt.start());
+
+      await new Promise(r => setTimeout(r, 250));
+      await dt.close();
+
+      // One poll per interval, rather than one per call to start()
+      assert.ok(pollSpy.callCount >= 1 && pollSpy.callCount <= 3);
+    });
+
+    it('never overlaps a slow poll', async function() {
+      let running = 0;
+      let overlapped = false;
+
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: { pollIntervalMs: 20 }
+      });
+
+      const claimTasks = dt.claimTasks.bind(dt);
+      const claimStub = sinon.stub(dt, 'claimTasks').callsFake(async claim => {
+        overlapped = overlapped || running > 0;
+        running++;
+
+        await new Promise(r => setTimeout(r, 100));
+        const claimed = await claimTasks(claim);
+
+        running--;
+        return claimed;
+      });
+
+      dt.start();
+      await new Promise(r => setTimeout(r, 350));
+      await dt.close();
+
+      assert.ok(claimStub.callCount >= 2);
+      assert.equal(overlapped, false);
+    });
+
+    it('joins a manual poll to the one in progress', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      await dt.addAt(new Date(), { foo: 'bar' });
+
+      const claimSpy = sinon.spy(dt, 'claimTasks');
+
+      const [a, b] = await Promise.all([dt.poll(), dt.poll()]);
+
+      assert.equal(a, 1);
+      assert.equal(b, 1);
+      assert.ok(claimSpy.calledOnce);
+      assert.ok(cb.calledOnce);
+
+      // Once it's finished, the next poll starts afresh
+      assert.equal(await dt.poll(), 0);
+      assert.ok(claimSpy.calledTwice);
+
+      await dt.close();
+    });
+
+    it('reports its state', async function() {
+      const dt = await createTasksObject();
+
+      assert.equal(dt.state, 'stopped');
+
+      dt.start();
+      assert.equal(dt.state, 'polling');
+
+      await dt.drain();
+      assert.equal(dt.state, 'draining');
+      assert.equal(dt.isPolling, false);
+
+      dt.start();
+      assert.equal(dt.state, 'polling');
+
+      await dt.close();
+      assert.equal(dt.state, 'closed');
+    });
+
+  });
+
+  describe('poll', function() {
+
+    it('works with no delayed tasks', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const tasksRemoved = await dt.poll();
+
+      // Ensure that we didn't process any tasks
+      assert.equal(tasksRemoved, 0);
+      assert.equal(cb.callCount, 0);
+
+      // Ensure that all tasks were removed
+      tasks = await getTasksUntil(new Date().getTime() + 100000000);
+      assert.equal(tasks.length, 0);
+
+      await dt.close()
+    });
+
+    it('works when all delayed tasks are due', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      // Add some tasks
+      const tasksToAdd = [
+        {
+          delay: 100,
+          data: { foo: 'bar' }
+        },
+        {
+          delay: 300,
+          data: { foo: 'baz' }
+        },
+        {
+          delay: 200,
+          data: { foo: 'ban' }
+        },
+        {
+          delay: 50,
+          data: { foo: 'first' }
+        }
+      ];
+
+      let maxDelay = 0;
+      try {
+
+        // Add all test tasks
+        for (let i=0;i<tasksToAdd.length;i++) {
+          tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
+
+          if (tasksToAdd[i].delay > maxDelay) {
+            maxDelay = tasksToAdd[i].delay;
+          }
+        }
+
+      } catch (e) {
+        console.error(e);
+        assert.fail('Unexpected error');
+      }
+
+      // Wait for tasks to come due
+      await new Promise(r => setTimeout(r, maxDelay + 1));
+
+      const tasksRemoved = await dt.poll();
+
+      // Check that tasks were processed
+      assert.equal(tasksRemoved, tasksToAdd.length);
+      assert.equal(cb.callCount, tasksToAdd.length);
+      tasksToAdd.forEach(t => assert.equal(cb.calledWith(t.data, t.id), true));
+
+      // Ensure that all tasks were removed
+      tasks = await getTasksUntil(new Date().getTime() + 100000000);
+      assert.equal(tasks.length, 0);
+
+      await dt.close()
+    });
+
+    it('works when some delayed tasks are due', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      // Add some tasks
+      const tasksToAdd = [
+        {
+          delay: 100,
+          data: { foo: 'bar' }
+        },
+        {
+          delay: 300,
+          data: { foo: 'baz' }
+        },
+        {
+          delay: 200,
+          data: { foo: 'ban' }
+        },
+        {
+          delay: 50,
+          data: { foo: 'first' }
+        }
+      ];
+
+      let maxDelay = 0;
+      try {
+
+        // Add all test tasks
+        for (let i=0;i<tasksToAdd.length;i++) {
+          tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
+
+          if (tasksToAdd[i].delay > maxDelay) {
+            maxDelay = tasksToAdd[i].delay;
+          }
+        }
+
+      } catch (e) {
+        console.error(e);
+        assert.fail('Unexpected error');
+      }
+
+      // ADD 2 MORE TASKS DUE MUCH LATER
+      await Promise.all([
+        dt.add(10000, { deferred: 1 }),
+        dt.add(11000, { deferred: 2 })
+      ]);
+
+      // Wait for tasks to come due
+      await new Promise(r => setTimeout(r, maxDelay + 1));
+
+      const tasksRemoved = await dt.poll();
+
+      // Check that tasks were processed
+      assert.equal(tasksRemoved, tasksToAdd.length);
+      assert.equal(cb.callCount, tasksToAdd.length);
+      tasksToAdd.forEach(t => assert.equal(cb.calledWith(t.data, t.id), true));
+
+      // Ensure that correct tasks were removed
+      tasks = await getTasksUntil(new Date().getTime() + 100000000);
+      assert.equal(tasks.length, 2);
+      assert.deepEqual(tasks[0].data, { deferred: 1 });
+      assert.deepEqual(tasks[1].data, { deferred: 2 });
+
+      await dt.close()
+    });
+
+    it('works when all tasks are delayed', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      // Add some tasks
+      const tasksToAdd = [
+        {
+          delay: 1000,
+          data: { foo: 'bar' }
+        },
+        {
+          delay: 3000,
+          data: { foo: 'baz' }
+        },
+        {
+          delay: 2000,
+          data: { foo: 'ban' }
+        },
+        {
+          delay: 500,
+          data: { foo: 'first' }
+        }
+      ];
+
+      try {
+
+        // Add all test tasks
+        for (let i=0;i<tasksToAdd.length;i++) {
+          tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
+        }
+
+      } catch (e) {
+        console.error(e);
+        assert.fail('Unexpected error');
+      }
+
+      // Process immediately so that no tasks are processed
+      const tasksRemoved = await dt.poll();
+
+      // Check that tasks were processed
+      assert.equal(tasksRemoved, 0);
+      assert.equal(cb.callCount, 0);
+
+      // Ensure that correct tasks were removed
+      tasks = await getTasksUntil(new Date().getTime() + 100000000);
+      assert.equal(tasks.length, 4);
+
+      await dt.close()
+    });
+
+    it('processes tasks if key is updated during poll', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      // Add some tasks
+      const tasksToAdd = [
+        {
+          delay: 100,
+          data: { foo: 'bar' }
+        },
+        {
+          delay: 300,
+          data: { foo: 'baz' }
+        },
+        {
+          delay: 200,
+          data: { foo: 'ban' }
+        },
+        {
+          delay: 50,
+          data: { foo: 'first' }
+        }
+      ];
+
+      let maxDelay = 0;
+      try {
+
+        // Add all test tasks
+        for (let i=0;i<tasksToAdd.length;i++) {
+          tasksToAdd[i].id = await dt.add(tasksToAdd[i].delay, tasksToAdd[i].data);
+
+          if (tasksToAdd[i].delay > maxDelay) {
+            maxDelay = tasksToAdd[i].delay;
+          }
+        }
+
+      } catch (e) {
+        console.error(e);
+        assert.fail('Unexpected error');
+      }
+
+      // Wait for tasks to come due
+      await new Promise(r => setTimeout(r, maxDelay + 1));
+
+      // Poll asynchronously
+      const pollPromise = dt.poll();
+
+      // Add another task while we're polling
+      dt.add(1000, {})
+
+      const tasksRemoved = await pollPromise;
+
+      // Check that tasks were processed, since claiming doesn't conflict with
+      // other writes
+      assert.equal(tasksRemoved, tasksToAdd.length);
+      assert.equal(cb.callCount, tasksToAdd.length);
+
+      // Only the task that was added during polling should remain
+      tasks = await getTasksUntil(new Date().getTime() + 100000000);
+      assert.equal(tasks.length, 1);
+      assert.deepEqual(tasks[0].data, {});
+
+      await dt.close()
+    });
+
+    it('never claims a task for more than one worker', async function() {
+      const cb = sinon.stub();
+      const workers = [0, 1, 2].map(() => new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb
+      }));
+
+      const taskIds = [];
+      for (let i = 0; i < 10; i++) {
+        taskIds.push(await workers[i % 3].add(10, { n: i }));
+      }
+
+      await new Promise(r => setTimeout(r, 11));
+
+      // Poll all workers at once
+      const claimed = await Promise.all(workers.map(w => w.poll()));
+
+      assert.equal(claimed.reduce((a, b) => a + b, 0), taskIds.length);
+      assert.equal(cb.callCount, taskIds.length);
+      assert.deepEqual(cb.args.map(a => a[1]).sort(), taskIds.sort());
+
+      await Promise.all(workers.map(w => w.close()));
+    });
+
+    it('delivers tasks stored by version 2', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb, { serializer: serializers.gzip() });
+
+      // Version 2 stored the whole task as the ZSET member
+      const due = new Date().getTime() - 10;
+      const legacy = JSON.stringify({ id: 'v2-task', due, data: { foo: 'bar' } });
+      await raw.zadd(`delayed:${testTaskId}`, due, legacy);
+
+      assert.equal(await dt.poll(), 1);
+      assert.ok(cb.calledOnceWith({ foo: 'bar' }, 'v2-task', due));
+
+      assert.equal((await getTasksUntil(-1)).length, 0);
+      assert.deepEqual(await getStoredIds(), []);
+
+      await dt.close()
+    });
+
+    it('retries tasks stored by version 2 in the current format', async function() {
+      const cb = sinon.stub().rejects(new Error('async failure'));
+      const dt = await createTasksObject(cb, {
+        reliable: true,
+        retry: { maxAttempts: 2, backoff: 'fixed', delayMs: 50 }
+      });
+
+      const due = new Date().getTime() - 10;
+      const legacy = JSON.stringify({ id: 'v2-task', due, data: { foo: 'bar' } });
+      await raw.zadd(`delayed:${testTaskId}`, due, legacy);
+
+      assert.equal(await dt.poll(), 1);
+      await settle();
+
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 1);
+      assert.equal(tasks[0].id, 'v2-task');
+      assert.equal(tasks[0].attempts, 1);
+      assert.strictEqual(tasks[0].legacy, undefined);
+      assert.deepEqual(tasks[0].data, { foo: 'bar' });
+
+      await new Promise(r => setTimeout(r, 51));
+      assert.equal(await dt.poll(), 1);
+      await settle();
+
+      assert.equal(cb.callCount, 2);
+      assert.ok(cb.alwaysCalledWith({ foo: 'bar' }, 'v2-task'));
+
+      await dt.close()
+    });
+
+  });
+
+  describe('reliable mode', function() {
+
+    it('keeps tasks in flight until the callback resolves', async function() {
+      let finish;
+      const cb = sinon.stub().returns(new Promise(r => finish = r));
+      const dt = await createTasksObject(cb, { reliable: true });
+
+      const taskId = await dt.add(50, { foo: 'bar' });
+
+      await new Promise(r => setTimeout(r, 51));
+      assert.equal(await dt.poll(), 1);
+      assert.ok(cb.calledWith({ foo: 'bar' }, taskId));
+
+      // The task is no longer pending, but is still stored and in flight
+      assert.equal((await getTasksUntil(-1)).length, 0);
+      assert.deepEqual(await getInFlightIds(), [taskId]);
+      assert.deepEqual(await getStoredIds(), [taskId]);
+
+      // Once the callback resolves, the task is removed for good
+      finish();
+      await new Promise(r => setTimeout(r, 50));
+
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual(await getStoredIds(), []);
+
+      await dt.close()
+    });
+
+    it('acknowledges synchronous callbacks', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb, { reliable: true });
+
+      await dt.add(50, { foo: 'bar' });
+
+      await new Promise(r => setTimeout(r, 51));
+      assert.equal(await dt.poll(), 1);
+      await new Promise(r => setTimeout(r, 50));
+
+      assert.equal(cb.callCount, 1);
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual(await getStoredIds(), []);
+
+      await dt.close()
+    });
+
+    it('redelivers a task once its lease expires', async function() {
+      // Simulate a worker that dies mid-task by never settling
+      const hanging = sinon.stub().returns(new Promise(() => {}));
+      const dt = await createTasksObject(hanging, { reliable: true, visibilityTimeoutMs: 300 });
+
+      const taskId = await dt.add(50, { foo: 'bar' });
+      const [task] = await getTasksUntil(-1);
+
+      await new Promise(r => setTimeout(r, 51));
+      assert.equal(await dt.poll(), 1);
+      assert.equal(hanging.callCount, 1);
+
+      // Still in flight, and not redelivered before the lease expires
+      assert.equal(await dt.poll(), 0);
+      assert.deepEqual(await getInFlightIds(), [taskId]);
+
+      // Any worker can pick it up after the lease expires
+      const cb = sinon.stub();
+      const other = await createTasksObject(cb, { reliable: true, visibilityTimeoutMs: 300 });
+
+      await new Promise(r => setTimeout(r, 301));
+      assert.equal(await other.poll(), 1);
+      assert.ok(cb.calledWith({ foo: 'bar' }, taskId, task.due));
+
+      await new Promise(r => setTimeout(r, 50));
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual(await getStoredIds(), []);
+
+      await dt.close({ timeoutMs: 0 })
+      await other.close()
+    });
+
+    it('waits for ack() when `autoAck` is disabled', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb, { reliable: true, autoAck: false });
+
+      const taskId = await dt.add(50, { foo: 'bar' });
+
+      await new Promise(r => setTimeout(r, 51));
+      assert.equal(await dt.poll(), 1);
+      await new Promise(r => setTimeout(r, 50));
+
+      assert.deepEqual(await getInFlightIds(), [taskId]);
+
+      assert.strictEqual(await dt.ack(taskId), true);
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual(await getStoredIds(), []);
+
+      // Acknowledging again reports that it's no longer in flight
+      assert.strictEqual(await dt.ack(taskId), false);
+
+      await dt.close()
+    });
+
+    it('does not acknowledge again when the callback calls ack()', async function() {
+      const dt = await createTasksObject(async function(data, taskId) {
+        assert.strictEqual(await this.ack(taskId), true);
+      }, { reliable: true });
+
+      const completed = sinon.spy();
+      const conflict = sinon.spy();
+      dt.on('completed', completed);
+      dt.on('conflict', conflict);
+
+      const taskId = await dt.addAt(new Date(), { foo: 'bar' });
+
+      assert.equal(await dt.poll(), 1);
+      await settle();
+
+      assert.ok(completed.calledOnce);
+      assert.equal(completed.firstCall.args[0].id, taskId);
+      assert.equal(conflict.callCount, 0);
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual(await getStoredIds(), []);
+
+      await dt.close()
+    });
+
+    it('reports a conflict when the callback acks a task it no longer holds', async function() {
+      const dt = await createTasksObject(function(data, taskId) {
+        // Not awaited, so the automatic ack has to wait for it
+        this.ack(taskId);
+      }, { reliable: true });
+
+      const completed = sinon.spy();
+      const conflict = sinon.spy();
+      dt.on('completed', completed);
+      dt.on('conflict', conflict);
+
+      const taskId = await dt.addAt(new Date(), { foo: 'bar' });
+
+      // Another worker has since been given the task
+      sinon.stub(dt, 'runScript').callThrough()
+        .withArgs(scripts.ack, sinon.match.array).resolves(0);
+
+      assert.equal(await dt.poll(), 1);
+      await settle();
+
+      assert.equal(completed.callCount, 0);
+      assert.ok(conflict.calledOnce);
+      assert.ok(dt.runScript.withArgs(scripts.ack, sinon.match.array).calledOnce);
+
+      dt.runScript.restore();
+      await dt.close()
+    });
+
+    it('does not cancel in-flight tasks', async function() {
+      const dt = await createTasksObject(() => {}, { reliable: true, autoAck: false });
+
+      const taskId = await dt.add(50, { foo: 'bar' });
+
+      await new Promise(r => setTimeout(r, 51));
+      await dt.poll();
+
+      assert.strictEqual(await dt.cancel(taskId), false);
+      assert.deepEqual(await getStoredIds(), [taskId]);
+
+      await dt.close()
+    });
+
+    it('ack() fails with an invalid task ID', async function() {
+      const dt = await createTasksObject(() => {}, { reliable: true });
+
+      try {
+        await dt.ack(undefined);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`taskId` must be a non-empty string'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+  });
+
+  describe('callback errors', function() {
+
+    it('traps synchronous errors without breaking the batch', async function() {
+      const cb = sinon.stub();
+      cb.withArgs({ fail: true }).throws(new Error('sync failure'));
+      const dt = await createTasksObject(cb);
+
+      const failId = await dt.add(10, { fail: true });
+      const okId = await dt.add(20, { fail: false });
+
+      await new Promise(r => setTimeout(r, 21));
+      assert.equal(await dt.poll(), 2);
+      await settle();
+
+      assert.equal(cb.callCount, 2);
+      assert.ok(cb.calledWith({ fail: false }, okId));
+
+      // The failed task goes to the dead letters
+      const dead = await dt.listDeadLetters();
+      assert.equal(dead.length, 1);
+      assert.equal(dead[0].id, failId);
+      assert.deepEqual(dead[0].data, { fail: true });
+      assert.equal(dead[0].attempts, 1);
+      assert.equal(dead[0].error, 'sync failure');
+      assert.ok(dead[0].failedAt);
+
+      await dt.close()
+    });
+
+    it('retries rejected tasks until they run out of attempts', async function() {
+      const cb = sinon.stub().rejects(new Error('async failure'));
+      const dt = await createTasksObject(cb, {
+        retry: { maxAttempts: 3, backoff: 'fixed', delayMs: 50 }
+      });
+
+      const taskId = await dt.add(10, { foo: 'bar' });
+      await new Promise(r => setTimeout(r, 11));
+
+      for (let attempt = 1; attempt < 3; attempt++) {
+        const before = new Date().getTime();
+        assert.equal(await dt.poll(), 1);
+        await settle();
+
+        // Re-added with the same ID and an attempt counter
+        const tasks = await getTasksUntil(-1);
+        assert.equal(tasks.length, 1);
+        assert.equal(tasks[0].id, taskId);
+        assert.equal(tasks[0].attempts, attempt);
+        assert.deepEqual(tasks[0].data, { foo: 'bar' });
+        assert.ok(tasks[0].due >= before + 50);
+
+        await new Promise(r => setTimeout(r, 51));
+      }
+
+      // Last attempt
+      assert.equal(await dt.poll(), 1);
+      await settle();
+
+      assert.equal(cb.callCount, 3);
+      assert.equal((await getTasksUntil(-1)).length, 0);
+
+      const dead = await dt.listDeadLetters();
+      assert.equal(dead.length, 1);
+      assert.equal(dead[0].id, taskId);
+      assert.equal(dead[0].attempts, 3);
+      assert.equal(dead[0].error, 'async failure');
+
+      await dt.close()
+    });
+
+    it('backs off exponentially', async function() {
+      const cb = sinon.stub().rejects(new Error('async failure'));
+      const dt = await createTasksObject(cb, {
+        retry: { maxAttempts: 3, delayMs: 100, maxDelayMs: 150 }
+      });
+
+      await dt.add(10, { foo: 'bar' });
+      await new Promise(r => setTimeout(r, 11));
+
+      let before = new Date().getTime();
+      await dt.poll();
+      await settle();
+      let after = new Date().getTime();
+
+      let [task] = await getTasksUntil(-1);
+      assert.ok(task.due >= before + 100 && task.due <= after + 100);
+
+      await new Promise(r => setTimeout(r, task.due - new Date().getTime() + 1));
+
+      // Second retry would be 200ms, but it's capped
+      before = new Date().getTime();
+      await dt.poll();
+      await settle();
+      after = new Date().getTime();
+
+      [task] = await getTasksUntil(-1);
+      assert.ok(task.due >= before + 150 && task.due <= after + 150);
+
+      await dt.close()
+    });
+
+    it('applies jitter to the retry delay', async function() {
+      const cb = sinon.stub().rejects(new Error('async failure'));
+      const dt = await createTasksObject(cb, {
+        retry: { maxAttempts: 2, backoff: 'fixed', delayMs: 10000, jitter: 0.5 }
+      });
+
+      sinon.stub(Math, 'random').returns(1);
+
+      try {
+        await dt.add(10, { foo: 'bar' });
+        await new Promise(r => setTimeout(r, 11));
+
+        const before = new Date().getTime();
+        await dt.poll();
+        await settle();
+        const after = new Date().getTime();
+
+        // Half of the delay is taken off
+        const [task] = await getTasksUntil(-1);
+        assert.ok(task.due >= before + 5000 && task.due <= after + 5000);
+      } finally {
+        Math.random.restore();
+        await dt.close()
+      }
+    });
+
+    it('drops failed tasks when dead letters are disabled', async function() {
+      const cb = sinon.stub().rejects(new Error('async failure'));
+      const dt = await createTasksObject(cb, { deadLetter: false });
+
+      await dt.add(10, { foo: 'bar' });
+      await new Promise(r => setTimeout(r, 11));
+
+      assert.equal(await dt.poll(), 1);
+      await settle();
+
+      assert.equal((await getTasksUntil(-1)).length, 0);
+      assert.equal((await dt.listDeadLetters()).length, 0);
+
+      await dt.close()
+    });
+
+    it('retries and dead-letters in-flight tasks in reliable mode', async function() {
+      const cb = sinon.stub().rejects(new Error('async failure'));
+      const dt = await createTasksObject(cb, {
+        reliable: true,
+        retry: { maxAttempts: 2, backoff: 'fixed', delayMs: 50 }
+      });
+
+      const taskId = await dt.add(10, { foo: 'bar' });
+      await new Promise(r => setTimeout(r, 11));
+
+      // Failure moves it from in-flight back to pending
+      assert.equal(await dt.poll(), 1);
+      await settle();
+
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.equal((await getTasksUntil(-1))[0].attempts, 1);
+
+      // Final failure moves it from in-flight to the dead letters
+      await new Promise(r => setTimeout(r, 51));
+      assert.equal(await dt.poll(), 1);
+      await settle();
+
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual(await getStoredIds(), []);
+      assert.deepEqual((await dt.listDeadLetters()).map(t => t.id), [taskId]);
+
+      await dt.close()
+    });
+
+    it('drops in-flight tasks when dead letters are disabled', async function() {
+      const cb = sinon.stub().rejects(new Error('async failure'));
+      const dt = await createTasksObject(cb, { reliable: true, deadLetter: false });
+
+      await dt.add(10, { foo: 'bar' });
+      await new Promise(r => setTimeout(r, 11));
+
+      assert.equal(await dt.poll(), 1);
+      await settle();
+
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual(await getStoredIds(), []);
+
+      await dt.close()
+    });
+
+  });
+
+  describe('dead letters', function() {
+
+    /**
+     * Adds tasks that fail straight into the dead letters, returning their IDs
+     * in order of failure.
+     */
+    async function addDeadLetters(dt, count) {
+      const taskIds = [];
+
+      for (let i = 0; i < count; i++) {
+        taskIds.push(await dt.add(10, { n: i }));
+        await new Promise(r => setTimeout(r, 11));
+        await dt.poll();
+        await new Promise(r => setTimeout(r, 20));
+      }
+
+      return taskIds;
+    }
+
+    it('lists dead letters with an offset and limit', async function() {
+      const dt = await createTasksObject(() => { throw new Error('failed'); });
+      const taskIds = await addDeadLetters(dt, 3);
+
+      assert.deepEqual((await dt.listDeadLetters()).map(t => t.id), taskIds);
+      assert.deepEqual((await dt.listDeadLetters({ offset: 1 })).map(t => t.id), taskIds.slice(1));
+      assert.deepEqual((await dt.listDeadLetters({ limit: 2 })).map(t => t.id), taskIds.slice(0, 2));
+      assert.deepEqual(await dt.listDeadLetters({ offset: 3 }), []);
+
+      await dt.close()
+    });
+
+    it('fails to list with an invalid offset or limit', async function() {
+      const dt = await createTasksObject();
+
+      const cases = [
+        [{ offset: -1 }, '`offset` must be a non-negative integer'],
+        [{ limit: 0 }, '`limit` must be a positive integer']
+      ];
+
+      for (const [options, message] of cases) {
+        try {
+          await dt.listDeadLetters(options);
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(() => {throw e}, { name: 'TypeError', message });
+        }
+      }
+
+      await dt.close()
+    });
+
+    it('requeues specific dead letters', async function() {
+      const cb = sinon.stub().throws(new Error('failed'));
+      const dt = await createTasksObject(cb);
+      const taskIds = await addDeadLetters(dt, 2);
+
+      assert.equal(await dt.requeueDeadLetters([taskIds[0], 'does-not-exist']), 1);
+
+      // Back in the queue, due now and with a clean slate
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 1);
+      assert.equal(tasks[0].id, taskIds[0]);
+      assert.deepEqual(tasks[0].data, { n: 0 });
+      assert.strictEqual(tasks[0].attempts, undefined);
+      assert.strictEqual(tasks[0].error, undefined);
+
+      assert.deepEqual((await dt.listDeadLetters()).map(t => t.id), [taskIds[1]]);
+
+      // ...and processed again on the next poll
+      cb.resetBehavior();
+      assert.equal(await dt.poll(), 1);
+      assert.ok(cb.calledWith({ n: 0 }, taskIds[0]));
+
+      await dt.close()
+    });
+
+    it('requeues all dead letters', async function() {
+      const dt = await createTasksObject(() => { throw new Error('failed'); });
+      const taskIds = await addDeadLetters(dt, 2);
+
+      assert.equal(await dt.requeueDeadLetters(), 2);
+
+      assert.deepEqual((await getTasksUntil(-1)).map(t => t.id).sort(), taskIds.sort());
+      assert.deepEqual(await dt.listDeadLetters(), []);
+
+      await dt.close()
+    });
+
+    it('purges specific dead letters', async function() {
+      const dt = await createTasksObject(() => { throw new Error('failed'); });
+      const taskIds = await addDeadLetters(dt, 2);
+
+      assert.equal(await dt.purgeDeadLetters([taskIds[1]]), 1);
+      assert.deepEqual((await dt.listDeadLetters()).map(t => t.id), [taskIds[0]]);
+
+      await dt.close()
+    });
+
+    it('purges all dead letters', async function() {
+      const dt = await createTasksObject(() => { throw new Error('failed'); });
+      await addDeadLetters(dt, 2);
+
+      assert.equal(await dt.purgeDeadLetters(), 2);
+      assert.deepEqual(await dt.listDeadLetters(), []);
+
+      await dt.close()
+    });
+
+    it('fails with invalid task IDs', async function() {
+      const dt = await createTasksObject();
+
+      for (const method of ['requeueDeadLetters', 'purgeDeadLetters']) {
+        try {
+          await dt[method](['ok', '']);
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message: '`taskIds` must be an array of non-empty strings'
+            }
+          );
+        }
+      }
+
+      await dt.close()
+    });
+
+  });
+
+  describe('batching and concurrency', function() {
+
+    it('claims at most `batchSize` tasks per poll', async function() {
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb,
+        options: { batchSize: 2 }
+      });
+
+      const taskIds = [];
+      for (let i = 0; i < 5; i++) {
+        taskIds.push(await dt.add(10 + i, { n: i }));
+      }
+
+      await new Promise(r => setTimeout(r, 15));
+
+      // The earliest tasks are claimed first, and the rest are left in redis
+      assert.equal(await dt.poll(), 2);
+      assert.deepEqual(cb.args.map(a => a[1]), taskIds.slice(0, 2));
+      assert.deepEqual((await getTasksUntil(-1)).map(t => t.id), taskIds.slice(2));
+
+      assert.equal(await dt.poll(), 2);
+      assert.equal(await dt.poll(), 1);
+      assert.equal(await dt.poll(), 0);
+      assert.deepEqual(cb.args.map(a => a[1]), taskIds);
+
+      await dt.close()
+    });
+
+    it('runs at most `concurrency` callbacks at once', async function() {
+      const finishers = [];
+      const cb = sinon.stub().callsFake(() => new Promise(r => finishers.push(r)));
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb,
+        options: { concurrency: 2 }
+      });
+
+      for (let i = 0; i < 4; i++) {
+        await dt.add(10, { n: i });
+      }
+
+      await new Promise(r => setTimeout(r, 11));
+
+      assert.equal(await dt.poll(), 2);
+      assert.equal(cb.callCount, 2);
+      assert.equal(dt.activeTasks.size, 2);
+
+      // No room, so nothing is claimed
+      assert.equal(await dt.poll(), 0);
+      assert.equal(cb.callCount, 2);
+      assert.equal((await getTasksUntil(-1)).length, 2);
+
+      // Finishing one task frees up one slot
+      finishers[0]();
+      await new Promise(r => setTimeout(r, 10));
+      assert.equal(dt.activeTasks.size, 1);
+
+      assert.equal(await dt.poll(), 1);
+      assert.equal(cb.callCount, 3);
+
+      finishers.slice(1).forEach(finish => finish());
+      await new Promise(r => setTimeout(r, 10));
+      assert.equal(dt.activeTasks.size, 0);
+
+      assert.equal(await dt.poll(), 1);
+      finishers[3]();
+
+      await dt.close()
+    });
+
+  });
+
+  describe('recurring tasks', function() {
+
+    it('fails with an invalid name', async function() {
+      const dt = await createTasksObject();
+
+      for (const method of ['addRecurring', 'removeRecurring']) {
+        try {
+          await dt[method]('', 1000, {});
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message: '`name` must be a non-empty string'
+            }
+          );
+        }
+      }
+
+      await dt.close()
+    });
+
+    it('fails with a null data object', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.addRecurring('job', 1000, null);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: 'No value provided for `data`'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+    it('fails with an invalid schedule', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.addRecurring('job', 'not a cron', {});
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.ok(e instanceof TypeError);
+        assert.ok(e.message.startsWith('Invalid cron schedule: '));
+      } finally {
+        await dt.close()
+      }
+    });
+
+    it('registers a schedule with one pending run', async function() {
+      const dt = await createTasksObject();
+
+      const before = new Date().getTime();
+      const runId = await dt.addRecurring('job', 60000, { foo: 'bar' });
+
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 1);
+      assert.equal(tasks[0].id, runId);
+      assert.equal(runId, `recurring:job:${tasks[0].due}`);
+      assert.ok(tasks[0].due >= before + 60000);
+      assert.equal(tasks[0].next, tasks[0].due + 60000);
+      assert.deepEqual(tasks[0].data, { foo: 'bar' });
+
+      assert.deepEqual(await dt.listRecurring(), [{
+        name: 'job',
+        schedule: { everyMs: 60000 },
+        data: { foo: 'bar' },
+        next: tasks[0].due
+      }]);
+
+      await dt.close()
+    });
+
+    it('ignores registering the same schedule again', async function() {
+      const dt = await createTasksObject();
+      const other = await createTasksObject();
+
+      const runId = await dt.addRecurring('job', 60000, { foo: 'bar' });
+      await new Promise(r => setTimeout(r, 5));
+
+      assert.equal(await other.addRecurring('job', { everyMs: 60000 }, { foo: 'bar' }), runId);
+      assert.deepEqual((await getTasksUntil(-1)).map(t => t.id), [runId]);
+
+      await dt.close()
+      await other.close()
+    });
+
+    it('replaces the pending run when the schedule changes', async function() {
+      const dt = await createTasksObject();
+
+      const runId = await dt.addRecurring('job', 60000, { foo: 'bar' });
+      await new Promise(r => setTimeout(r, 5));
+
+      const newRunId = await dt.addRecurring('job', 60000, { foo: 'baz' });
+      assert.notEqual(newRunId, runId);
+
+      const tasks = await getTasksUntil(-1);
+      assert.deepEqual(tasks.map(t => t.id), [newRunId]);
+      assert.deepEqual(tasks[0].data, { foo: 'baz' });
+
+      const intervalRunId = await dt.addRecurring('job', 120000, { foo: 'baz' });
+      assert.notEqual(intervalRunId, newRunId);
+      assert.deepEqual((await getTasksUntil(-1)).map(t => t.id), [intervalRunId]);
+
+      assert.equal((await dt.listRecurring()).length, 1);
+
+      await dt.close()
+    });
+
+    it('evaluates cron schedules in their time zone', async function() {
+      const dt = await createTasksObject();
+
+      const schedule = { cron: '0 9 * * *', tz: 'America/New_York' };
+      await dt.addRecurring('daily', schedule, {});
+
+      const [task] = await getTasksUntil(-1);
+      const expected = nextRun(schedule, new Date().getTime());
+
+      assert.equal(task.due, expected);
+      assert.equal(task.next, nextRun(schedule, expected));
+
+      const [registered] = await dt.listRecurring();
+      assert.deepEqual(registered.schedule, schedule);
+
+      await dt.close()
+    });
+
+    it('schedules the next run when a run is claimed', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const firstRunId = await dt.addRecurring('job', 50, { foo: 'bar' });
+      const [first] = await getTasksUntil(-1);
+
+      await new Promise(r => setTimeout(r, first.due - new Date().getTime() + 1));
+      assert.equal(await dt.poll(), 1);
+      assert.ok(cb.calledWith({ foo: 'bar' }, firstRunId, first.due));
+
+      // The next run is due when the first run said it would be, and knows
+      // when the run after it is due
+      const [second] = await getTasksUntil(-1);
+      assert.equal(second.id, `recurring:job:${first.next}`);
+      assert.equal(second.due, first.next);
+      assert.ok(second.next > second.due);
+      assert.deepEqual(second.data, { foo: 'bar' });
+
+      assert.equal((await dt.listRecurring())[0].next, second.due);
+
+      await new Promise(r => setTimeout(r, second.due - new Date().getTime() + 1));
+      assert.equal(await dt.poll(), 1);
+      assert.equal(cb.callCount, 2);
+      assert.ok(cb.calledWith({ foo: 'bar' }, second.id, second.due));
+
+      assert.equal((await getTasksUntil(-1)).length, 1);
+
+      await dt.close()
+    });
+
+    it('runs each run once across workers', async function() {
+      const cb = sinon.stub();
+      const workers = [0, 1, 2].map(() => new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb
+      }));
+
+      await Promise.all(workers.map(w => w.addRecurring('job', 200, {})));
+
+      for (let i = 0; i < 3; i++) {
+        const [task] = await getTasksUntil(-1);
+        await new Promise(r => setTimeout(r, task.due - new Date().getTime() + 1));
+
+        const claimed = await Promise.all(workers.map(w => w.poll()));
+        assert.equal(claimed.reduce((a, b) => a + b, 0), 1);
+      }
+
+      assert.equal(cb.callCount, 3);
+      assert.equal((await getTasksUntil(-1)).length, 1);
+
+      await Promise.all(workers.map(w => w.close()));
+    });
+
+    it('catches up when a run is missing its next due time', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const runId = await dt.addRecurring('job', 50, {});
+
+      // Simulate a worker that died before filling in `next`
+      const stored = await getStoredTask(runId);
+      delete stored.next;
+      await raw.hset(`delayed:${testTaskId}:tasks`, runId, JSON.stringify(stored));
+
+      await new Promise(r => setTimeout(r, stored.due - new Date().getTime() + 1));
+
+      const before = new Date().getTime();
+      assert.equal(await dt.poll(), 1);
+      assert.equal(cb.callCount, 1);
+
+      const [next] = await getTasksUntil(-1);
+      assert.notEqual(next.id, runId);
+      assert.ok(next.due >= before + 50);
+      assert.equal(next.next, next.due + 50);
+
+      await dt.close()
+    });
+
+    it('fires a missed run once after workers were down', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      await dt.addRecurring('job', 100, {});
+
+      // No worker polls while several runs come due
+      await new Promise(r => setTimeout(r, 550));
+
+      const before = new Date().getTime();
+      for (let i = 0; i < 3; i++) {
+        await dt.poll();
+      }
+
+      assert.equal(cb.callCount, 1);
+
+      // The schedule continues from now
+      const [next] = await getTasksUntil(-1);
+      assert.ok(next.due >= before + 100);
+      assert.equal(next.next, next.due + 100);
+
+      await dt.close()
+    });
+
+    it('keeps going when a run is retried', async function() {
+      const cb = sinon.stub();
+      cb.onFirstCall().throws(new Error('failed'));
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb,
+        options: {
+          retry: { maxAttempts: 2, backoff: 'fixed', delayMs: 10000 }
+        }
+      });
+
+      const runId = await dt.addRecurring('job', 50, {});
+      const [first] = await getTasksUntil(-1);
+
+      await new Promise(r => setTimeout(r, first.due - new Date().getTime() + 1));
+      await dt.poll();
+      await new Promise(r => setTimeout(r, 20));
+
+      // Both the retry and the next run are pending
+      const tasks = await getTasksUntil(-1);
+      assert.deepEqual(tasks.map(t => t.id).sort(), [runId, `recurring:job:${first.next}`].sort());
+
+      await dt.close()
+    });
+
+    it('removes a schedule and its pending run', async function() {
+      const dt = await createTasksObject();
+
+      await dt.addRecurring('job', 60000, {});
+      await dt.addRecurring('other', 60000, {});
+
+      assert.strictEqual(await dt.removeRecurring('job'), true);
+      assert.strictEqual(await dt.removeRecurring('job'), false);
+
+      assert.deepEqual((await dt.listRecurring()).map(s => s.name), ['other']);
+      assert.equal((await getTasksUntil(-1)).length, 1);
+
+      await dt.close()
+    });
+
+    it('does not schedule another run once removed', async function() {
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb,
+        options: { reliable: true, autoAck: false }
+      });
+
+      await dt.addRecurring('job', 50, {});
+      const [first] = await getTasksUntil(-1);
+
+      // Claim the run, which schedules the next one, then remove the schedule
+      // while the claimed run is still in flight
+      await new Promise(r => setTimeout(r, first.due - new Date().getTime() + 1));
+      assert.equal(await dt.poll(), 1);
+      assert.equal((await getTasksUntil(-1)).length, 1);
+
+      assert.strictEqual(await dt.removeRecurring('job'), true);
+
+      assert.deepEqual(await getTasksUntil(-1), []);
+      assert.deepEqual(await getInFlightIds(), [first.id]);
+      assert.deepEqual(await dt.listRecurring(), []);
+
+      await dt.close()
+    });
+
+  });
+
+  describe('task types', function() {
+
+    it('fails with an invalid type', async function() {
+      const dt = await createTasksObject();
+
+      const calls = [
+        () => dt.add(1000, {}, { type: '' }),
+        () => dt.addAt(new Date(), {}, { type: 5 }),
+        () => dt.addRecurring('job', 1000, {}, { type: null })
+      ];
+
+      for (const call of calls) {
+        try {
+          await call();
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message: '`type` must be a non-empty string'
+            }
+          );
+        }
+      }
+
+      await dt.close()
+    });
+
+    it('fails to register an invalid handler', async function() {
+      const dt = await createTasksObject();
+
+      assert.throws(
+        () => dt.handle('', () => {}),
+        {
+          name: 'TypeError',
+          message: '`type` must be a non-empty string'
+        }
+      );
+
+      assert.throws(
+        () => dt.handle('email', true),
+        {
+          name: 'TypeError',
+          message: '`handler` must be a function'
+        }
+      );
+
+      await dt.close()
+    });
+
+    it('stores the type with the task', async function() {
+      const dt = await createTasksObject();
+
+      const taskId = await dt.add(1000, { foo: 'bar' }, { type: 'email' });
+      const untypedId = await dt.addAt(new Date(), { foo: 'bar' });
+
+      assert.equal((await getStoredTask(taskId)).type, 'email');
+      assert.strictEqual((await getStoredTask(untypedId)).type, undefined);
+
+      await dt.close()
+    });
+
+    it('routes tasks to the handler for their type', async function() {
+      const cb = sinon.stub();
+      const email = sinon.stub();
+      const sms = sinon.stub();
+
+      const dt = await createTasksObject(cb);
+      assert.strictEqual(dt.handle('email', email).handle('sms', sms), dt);
+
+      const emailId = await dt.addAt(new Date(), { to: 'a' }, { type: 'email' });
+      const smsId = await dt.addAt(new Date(), { to: 'b' }, { type: 'sms' });
+      const untypedId = await dt.addAt(new Date(), { to: 'c' });
+
+      assert.equal(await dt.poll(), 3);
+
+      assert.ok(email.calledOnceWith({ to: 'a' }, emailId));
+      assert.ok(email.calledOn(dt));
+      assert.ok(sms.calledOnceWith({ to: 'b' }, smsId));
+      assert.ok(cb.calledOnceWith({ to: 'c' }, untypedId));
+
+      await dt.close()
+    });
+
+    it('replaces the handler for a type', async function() {
+      const first = sinon.stub();
+      const second = sinon.stub();
+
+      const dt = await createTasksObject();
+      dt.handle('email', first);
+      dt.handle('email', second);
+
+      await dt.addAt(new Date(), {}, { type: 'email' });
+      await dt.poll();
+
+      assert.ok(first.notCalled);
+      assert.ok(second.calledOnce);
+
+      await dt.close()
+    });
+
+    it('falls back to the callback for unknown types', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+      dt.handle('email', () => {});
+
+      const taskId = await dt.addAt(new Date(), { foo: 'bar' }, { type: 'push' });
+      await dt.poll();
+
+      assert.ok(cb.calledOnceWith({ foo: 'bar' }, taskId));
+
+      await dt.close()
+    });
+
+    it('fails tasks with no handler and no callback', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId
+      });
+      dt.handle('email', () => {});
+
+      const typedId = await dt.addAt(new Date(), {}, { type: 'push' });
+      const untypedId = await dt.addAt(new Date(), {});
+
+      assert.equal(await dt.poll(), 2);
+      await new Promise(r => setTimeout(r, 20));
+
+      const dead = await dt.listDeadLetters();
+      assert.deepEqual(
+        dead.map(t => [t.id, t.error]).sort(),
+        [
+          [typedId, 'No handler for task type `push`'],
+          [untypedId, 'No callback for tasks without a type']
+        ].sort()
+      );
+
+      await dt.close()
+    });
+
+    it('keeps the type of retried and recurring tasks', async function() {
+      const handler = sinon.stub();
+      handler.onFirstCall().throws(new Error('failed'));
+
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        options: {
+          retry: { maxAttempts: 2, backoff: 'fixed', delayMs: 10 }
+        }
+      });
+      dt.handle('report', handler);
+
+      await dt.addRecurring('daily', 50, { foo: 'bar' }, { type: 'report' });
+      assert.equal((await dt.listRecurring())[0].type, 'report');
+
+      const [first] = await getTasksUntil(-1);
+      assert.equal(first.type, 'report');
+
+      await new Promise(r => setTimeout(r, first.due - new Date().getTime() + 1));
+      await dt.poll();
+      await new Promise(r => setTimeout(r, 20));
+
+      // The retry and the next run both keep the type
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 2);
+      tasks.forEach(t => assert.equal(t.type, 'report'));
+
+      await new Promise(r => setTimeout(r, 60));
+      await dt.poll();
+
+      assert.equal(handler.callCount, 3);
+
+      await dt.close()
+    });
+
+    it('replaces a recurring task when its type changes', async function() {
+      const dt = await createTasksObject();
+
+      const runId = await dt.addRecurring('job', 60000, {});
+      await new Promise(r => setTimeout(r, 5));
+
+      assert.notEqual(await dt.addRecurring('job', 60000, {}, { type: 'report' }), runId);
+
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 1);
+      assert.equal(tasks[0].type, 'report');
+
+      await dt.close()
+    });
+
+  });
+
+  describe('events', function() {
+
+    it('emits `ready`, `redisError` and `closed` for its own client', async function() {
+      requireServer(this);
+
+      const dt = new DelayedTasks({
+        redis: {},
+        id: testTaskId
+      });
+
+      const ready = sinon.spy();
+      const redisError = sinon.spy();
+      const closed = sinon.spy();
+      dt.on('ready', ready);
+      dt.on('redisError', redisError);
+      dt.on('closed', closed);
+
+      await dt.connect();
+      assert.ok(ready.calledOnce);
+
+      const error = new Error('connection lost');
+      dt.redisClient.emit('error', error);
+      assert.ok(redisError.calledOnceWith(error));
+
+      await dt.close();
+      assert.ok(closed.calledOnce);
+    });
+
+    it('emits `ready` for a client that is already connected', async function() {
+      const dt = await createTasksObject();
+
+      const ready = sinon.spy();
+      dt.on('ready', ready);
+
+      await dt.connect();
+      assert.ok(ready.calledOnce);
+
+      await dt.close()
+    });
+
+    it('emits `added`, `claimed` and `completed`', async function() {
+      const dt = await createTasksObject(() => {});
+
+      const added = sinon.spy();
+      const claimed = sinon.spy();
+      const completed = sinon.spy();
+      dt.on('added', added);
+      dt.on('claimed', claimed);
+      dt.on('completed', completed);
+
+      const due = new Date();
+      const taskId = await dt.addAt(due, { foo: 'bar' }, { type: 'email' });
+
+      const task = { id: taskId, due: due.getTime(), data: { foo: 'bar' }, type: 'email' };
+      assert.ok(added.calledOnce);
+      assert.deepEqual(added.firstCall.args[0], task);
+
+      await dt.poll();
+      assert.ok(claimed.calledOnce);
+      assert.deepEqual(claimed.firstCall.args[0], task);
+
+      await settle();
+      assert.ok(completed.calledOnce);
+      assert.deepEqual(completed.firstCall.args[0], task);
+      assert.ok(completed.calledAfter(claimed));
+
+      await dt.close()
+    });
+
+    it('emits `completed` after acknowledging in reliable mode', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => {},
+        options: { reliable: true }
+      });
+
+      const completed = sinon.spy();
+      dt.on('completed', async () => completed(await getInFlightIds()));
+
+      await dt.addAt(new Date(), {});
+      await dt.poll();
+      await settle();
+
+      assert.ok(completed.calledOnceWith([]));
+
+      await dt.close()
+    });
+
+    it('emits `failed` for retries and dead letters', async function() {
+      const error = new Error('failed');
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: sinon.stub().throws(error),
+        options: {
+          retry: { maxAttempts: 2, backoff: 'fixed', delayMs: 10 }
+        }
+      });
+
+      const failed = sinon.spy();
+      const completed = sinon.spy();
+      dt.on('failed', failed);
+      dt.on('completed', completed);
+
+      const taskId = await dt.addAt(new Date(), { foo: 'bar' });
+
+      const before = new Date().getTime();
+      await dt.poll();
+      await settle();
+
+      assert.ok(failed.calledOnce);
+      const [retried, retryError] = failed.firstCall.args;
+      assert.equal(retried.id, taskId);
+      assert.equal(retried.attempts, 1);
+      assert.ok(retried.due >= before + 10);
+      assert.strictEqual(retryError, error);
+
+      await dt.poll();
+      await settle();
+
+      assert.ok(failed.calledTwice);
+      const [dead] = failed.secondCall.args;
+      assert.equal(dead.attempts, 2);
+      assert.equal(dead.error, 'failed');
+      assert.ok(dead.failedAt);
+
+      assert.ok(completed.notCalled);
+
+      await dt.close()
+    });
+
+    it('emits `conflict` when a task is redelivered before it finishes', async function() {
+      let finish;
+      const slow = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => new Promise(r => finish = r),
+        options: { reliable: true, visibilityTimeoutMs: 10 }
+      });
+      const other = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => new Promise(() => {}),
+        options: { reliable: true, visibilityTimeoutMs: 10000 }
+      });
+
+      const conflict = sinon.spy();
+      const completed = sinon.spy();
+      slow.on('conflict', conflict);
+      slow.on('completed', completed);
+
+      const taskId = await slow.addAt(new Date(), {});
+      assert.equal(await slow.poll(), 1);
+
+      // The lease runs out, so the task is redelivered to another worker
+      await new Promise(r => setTimeout(r, 20));
+      assert.equal(await other.poll(), 1);
+
+      finish();
+      await settle();
+
+      assert.ok(conflict.calledOnce);
+      assert.equal(conflict.firstCall.args[0].id, taskId);
+      assert.ok(completed.notCalled);
+
+      await slow.close()
+      await other.close({ timeoutMs: 0 })
+    });
+
+    it('emits `redisError` when finishing a task fails', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => {},
+        options: { reliable: true }
+      });
+
+      // Fail acknowledging the task
+      const error = new Error('connection lost');
+      const runScript = dt.runScript.bind(dt);
+      sinon.stub(dt, 'runScript').callsFake((script, args) => {
+        return (script === scripts.ack) ? Promise.reject(error) : runScript(script, args);
+      });
+
+      const redisError = sinon.spy();
+      dt.on('redisError', redisError);
+
+      await dt.addAt(new Date(), {});
+      await dt.poll();
+      await settle();
+
+      assert.ok(redisError.calledOnceWith(error));
+      assert.equal(dt.activeTasks.size, 0);
+
+      await dt.close()
+    });
+
+    it('emits `pollError` when a scheduled poll fails', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => {},
+        options: { pollIntervalMs: 10 }
+      });
+
+      const error = new Error('connection lost');
+      sinon.stub(dt, 'poll').rejects(error);
+
+      const pollError = sinon.spy();
+      dt.on('pollError', pollError);
+
+      dt.start();
+      await new Promise(r => setTimeout(r, 35));
+      dt.stop();
+
+      assert.ok(pollError.called);
+      assert.ok(pollError.alwaysCalledWith(error));
+
+      await dt.close()
+    });
+
+  });
+
+
+  describe('introspection', function() {
+
+    it('counts pending and due tasks', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => new Promise(() => {}),
+        options: { reliable: true }
+      });
+
+      assert.equal(await dt.count(), 0);
+      assert.equal(await dt.countDue(), 0);
+
+      const now = new Date().getTime();
+      await dt.addAt(now - 1000, { n: 1 });
+      await dt.addAt(now - 500, { n: 2 });
+      await dt.add(60000, { n: 3 });
+
+      assert.equal(await dt.count(), 3);
+      assert.equal(await dt.countDue(), 2);
+
+      // In-flight tasks aren't pending
+      await dt.poll();
+      assert.equal(await dt.count(), 1);
+      assert.equal(await dt.countDue(), 0);
+
+      await dt.close({ timeoutMs: 0 })
+    });
+
+    it('peeks at the next tasks without claiming them', async function() {
+      const dt = await createTasksObject();
+
+      assert.deepEqual(await dt.peek(), []);
+
+      const now = new Date().getTime();
+      const lateId = await dt.addAt(now + 2000, { n: 2 });
+      const earlyId = await dt.addAt(now + 1000, { n: 1 }, { type: 'email' });
+
+      assert.deepEqual(await dt.peek(), [
+        { id: earlyId, due: now + 1000, data: { n: 1 }, type: 'email' }
+      ]);
+      assert.deepEqual((await dt.peek(5)).map(t => t.id), [earlyId, lateId]);
+      assert.equal(await dt.count(), 2);
+
+      await dt.close()
+    });
+
+    it('fails to peek with an invalid count', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.peek(0);
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`n` must be a positive integer'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+    it('gets a task by ID', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => new Promise(() => {}),
+        options: { reliable: true }
+      });
+
+      const due = new Date();
+      const taskId = await dt.addAt(due, { foo: 'bar' });
+
+      assert.deepEqual(await dt.get(taskId), { id: taskId, due: due.getTime(), data: { foo: 'bar' } });
+      assert.strictEqual(await dt.get('unknown'), null);
+
+      // In-flight tasks can still be found
+      await dt.poll();
+      assert.equal((await dt.get(taskId)).id, taskId);
+
+      await dt.close({ timeoutMs: 0 })
+    });
+
+    it('fails to get a task with an invalid task ID', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.get('');
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`taskId` must be a non-empty string'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+    it('lists tasks within a range', async function() {
+      const dt = await createTasksObject();
+
+      const now = new Date().getTime();
+      const taskIds = [];
+      for (let i = 0; i < 5; i++) {
+        taskIds.push(await dt.addAt(now + i * 1000, { n: i }));
+      }
+
+      const all = await dt.list();
+      assert.deepEqual(all.map(t => t.id), taskIds);
+      assert.deepEqual(all.map(t => t.data.n), [0, 1, 2, 3, 4]);
+
+      assert.deepEqual(
+        (await dt.list({ from: now + 1000, to: new Date(now + 3000) })).map(t => t.id),
+        taskIds.slice(1, 4)
+      );
+
+      assert.deepEqual(
+        (await dt.list({ offset: 1, limit: 2 })).map(t => t.id),
+        taskIds.slice(1, 3)
+      );
+
+      assert.deepEqual(await dt.list({ from: now + 10000 }), []);
+
+      await dt.close()
+    });
+
+    it('fails to list with invalid options', async function() {
+      const dt = await createTasksObject();
+
+      const cases = [
+        [{ from: 'now' }, '`from` must be a valid Date or epoch milliseconds'],
+        [{ to: new Date('invalid') }, '`to` must be a valid Date or epoch milliseconds'],
+        [{ offset: -1 }, '`offset` must be a non-negative integer'],
+        [{ limit: 0 }, '`limit` must be a positive integer']
+      ];
+
+      for (const [options, message] of cases) {
+        try {
+          await dt.list(options);
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message
+            }
+          );
+        }
+      }
+
+      await dt.close()
+    });
+
+    it('measures how overdue the earliest task is', async function() {
+      const dt = await createTasksObject();
+
+      assert.equal(await dt.lag(), 0);
+
+      await dt.add(60000, {});
+      assert.equal(await dt.lag(), 0);
+
+      const before = new Date().getTime();
+      await dt.addAt(before - 5000, {});
+      const lag = await dt.lag();
+      const after = new Date().getTime();
+
+      assert.ok(lag >= 5000);
+      assert.ok(lag <= after - before + 5000);
+
+      await dt.close()
+    });
+
+  });
+
+  describe('metrics', function() {
+
+    it('collects metrics from a queue', async function() {
+      const dt = await createTasksObject(() => {});
+      const metrics = new MetricsCollector().watch(dt);
+
+      await dt.addAt(new Date(), {});
+      await dt.addAt(new Date(), {}, { expiresAt: 1 });
+      await dt.add(60000, {});
+      await dt.poll();
+      await new Promise(r => setTimeout(r, 20));
+
+      const snapshot = await metrics.snapshot();
+      assert.equal(snapshot[testTaskId].added, 3);
+      assert.equal(snapshot[testTaskId].claimed, 2);
+      assert.equal(snapshot[testTaskId].completed, 1);
+      assert.equal(snapshot[testTaskId].expired, 1);
+      assert.equal(snapshot[testTaskId].pending, 1);
+      assert.equal(snapshot[testTaskId].due, 0);
+      assert.equal(snapshot[testTaskId].pollDuration.count, 1);
+
+      assert.ok((await metrics.render()).includes(`delayed_tasks_completed_total{queue="${ testTaskId }"} 1\n`));
+
+      await dt.close()
+    });
+
+  });
+
+  describe('graceful shutdown', function() {
+
+    it('waits for in-flight callbacks before closing', async function() {
+      const finished = sinon.spy();
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => new Promise(r => setTimeout(r, 50)).then(finished),
+        options: { reliable: true }
+      });
+
+      const completed = sinon.spy();
+      const closed = sinon.spy();
+      dt.on('completed', completed);
+      dt.on('closed', closed);
+
+      await dt.addAt(new Date(), {});
+      await dt.addAt(new Date(), {});
+      assert.equal(await dt.poll(), 2);
+
+      await dt.close();
+
+      assert.ok(finished.calledTwice);
+      assert.ok(completed.calledTwice);
+      assert.ok(closed.calledAfter(completed));
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual(await getStoredIds(), []);
+    });
+
+    it('waits for a running poll when stopping', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      await dt.addAt(new Date(), {});
+
+      const polled = sinon.spy();
+      dt.poll().then(polled);
+      await dt.stop();
+
+      assert.ok(polled.calledOnceWith(1));
+      assert.ok(cb.calledOnce);
+
+      await dt.close()
+    });
+
+    it('stops claiming tasks while draining', async function() {
+      let finish;
+      const cb = sinon.stub();
+      cb.onFirstCall().returns(new Promise(r => finish = r));
+      const dt = await createTasksObject(cb);
+
+      await dt.addAt(new Date(), {});
+      await dt.poll();
+
+      const drained = dt.drain();
+      await dt.addAt(new Date(), {});
+      assert.equal(await dt.poll(), 0);
+
+      finish();
+      assert.strictEqual(await drained, true);
+      assert.equal(await dt.count(), 1);
+
+      // Starting again resumes claiming
+      assert.strictEqual(dt.start(), true);
+      assert.equal(await dt.poll(), 1);
+
+      await dt.close()
+    });
+
+    it('returns unfinished tasks to the queue in reliable mode', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => new Promise(() => {}),
+        options: { reliable: true }
+      });
+
+      const due = new Date().getTime() - 1000;
+      const taskId = await dt.addAt(due, {});
+      await dt.poll();
+      assert.deepEqual(await getInFlightIds(), [taskId]);
+
+      const before = new Date().getTime();
+      assert.strictEqual(await dt.drain({ timeoutMs: 20 }), false);
+      assert.ok(new Date().getTime() - before >= 19);
+
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual((await getTasksUntil(-1)).map(t => [t.id, t.due]), [[taskId, due]]);
+
+      await dt.close({ timeoutMs: 0 })
+    });
+
+    it('does not return tasks that have been redelivered', async function() {
+      const slow = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => new Promise(() => {}),
+        options: { reliable: true, visibilityTimeoutMs: 10 }
+      });
+      const other = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => new Promise(() => {}),
+        options: { reliable: true }
+      });
+
+      const taskId = await slow.addAt(new Date(), {});
+      await slow.poll();
+
+      await new Promise(r => setTimeout(r, 20));
+      assert.equal(await other.poll(), 1);
+
+      assert.strictEqual(await slow.drain({ timeoutMs: 0 }), false);
+      assert.deepEqual(await getInFlightIds(), [taskId]);
+      assert.deepEqual(await getTasksUntil(-1), []);
+
+      await slow.close({ timeoutMs: 0 })
+      await other.close({ timeoutMs: 0 })
+    });
+
+    it('stops waiting for unfinished tasks when not in reliable mode', async function() {
+      const dt = await createTasksObject(() => new Promise(() => {}));
+
+      await dt.addAt(new Date(), {});
+      await dt.poll();
+
+      assert.strictEqual(await dt.drain({ timeoutMs: 0 }), false);
+      assert.deepEqual(await getStoredIds(), []);
+
+      await dt.close({ timeoutMs: 0 })
+    });
+
+    it('fails with an invalid timeout', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.drain({ timeoutMs: -1 });
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`timeoutMs` must be a non-negative number'
+          }
+        );
+      } finally {
+        await dt.close()
+      }
+    });
+
+  });
+
+  describe('task keys', function() {
+
+    it('fails with an invalid key', async function() {
+      const dt = await createTasksObject();
+
+      for (const key of ['', 42]) {
+        try {
+          await dt.add(1000, {}, { key });
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message: '`key` must be a non-empty string'
+            }
+          );
+        }
+      }
+
+      await dt.close()
+    });
+
+    it('refuses keys reserved for recurring runs', async function() {
+      const dt = await createTasksObject();
+
+      try {
+        await dt.add(60000, {}, { key: 'recurring:foo' });
+        assert.fail('The expected error was not thrown');
+
+      } catch (e) {
+        assert.throws(
+          () => {throw e},
+          {
+            name: 'TypeError',
+            message: '`key` can\'t start with `recurring:`'
+          }
+        );
+      }
+
+      assert.equal(await dt.count(), 0);
+
+      await dt.close()
+    });
+
+    it('uses the key as the task ID', async function() {
+      const dt = await createTasksObject();
+
+      assert.equal(await dt.add(1000, { user: 42 }, { key: 'recompute:42' }), 'recompute:42');
+      assert.equal(await dt.addAt(new Date(), { user: 43 }, { key: 'recompute:43', type: 'recompute' }), 'recompute:43');
+
+      const task = await dt.get('recompute:43');
+      assert.equal(task.type, 'recompute');
+      assert.deepEqual(task.data, { user: 43 });
+
+      await dt.close()
+    });
+
+    it('ignores adding a key that is already pending', async function() {
+      const dt = await createTasksObject();
+
+      const added = sinon.spy();
+      dt.on('added', added);
+
+      await dt.add(1000, { n: 1 }, { key: 'recompute:42' });
+      const [first] = await getTasksUntil(-1);
+
+      assert.equal(await dt.add(60000, { n: 2 }, { key: 'recompute:42' }), 'recompute:42');
+      assert.equal(await dt.addAt(new Date(), { n: 3 }, { key: 'recompute:42' }), 'recompute:42');
+
+      // The first task is left as it was
+      assert.deepEqual(await getTasksUntil(-1), [first]);
+      assert.ok(added.calledOnce);
+
+      await dt.close()
+    });
+
+    it('ignores adding a key that is in flight', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => new Promise(() => {}),
+        options: { reliable: true }
+      });
+
+      await dt.addAt(new Date(), { n: 1 }, { key: 'recompute:42' });
+      await dt.poll();
+
+      await dt.add(1000, { n: 2 }, { key: 'recompute:42' });
+
+      assert.deepEqual(await getTasksUntil(-1), []);
+      assert.deepEqual((await dt.get('recompute:42')).data, { n: 1 });
+
+      await dt.close({ timeoutMs: 0 })
+    });
+
+    it('allows a key to be reused once its task is processed', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      await dt.addAt(new Date(), { n: 1 }, { key: 'recompute:42' });
+      await dt.poll();
+
+      await dt.add(1000, { n: 2 }, { key: 'recompute:42' });
+
+      assert.deepEqual((await dt.get('recompute:42')).data, { n: 2 });
+      assert.ok(cb.calledOnceWith({ n: 1 }, 'recompute:42'));
+
+      await dt.close()
+    });
+
+    it('keeps the newer task when requeueing a dead letter with the same key', async function() {
+      const dt = await createTasksObject(() => { throw new Error('failed') });
+
+      await dt.addAt(new Date(), { n: 1 }, { key: 'recompute:42' });
+      await dt.poll();
+      await new Promise(r => setTimeout(r, 20));
+
+      await dt.add(60000, { n: 2 }, { key: 'recompute:42' });
+
+      assert.equal(await dt.requeueDeadLetters(), 0);
+      assert.deepEqual((await dt.get('recompute:42')).data, { n: 2 });
+      assert.equal((await dt.listDeadLetters()).length, 1);
+
+      await dt.close()
+    });
+
+    it('only adds one task when adding a key concurrently', async function() {
+      const workers = [0, 1, 2, 3].map(() => new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId
+      }));
+
+      await Promise.all(workers.map((w, i) => w.add(1000, { n: i }, { key: 'recompute:42' })));
+
+      assert.equal((await getTasksUntil(-1)).length, 1);
+
+      await Promise.all(workers.map(w => w.close()));
+    });
+
+  });
+
+  describe('debouncing', function() {
+
+    it('fails with an invalid mode', async function() {
+      const dt = await createTasksObject();
+
+      const cases = [
+        [{ key: 'a', mode: 'debounce' }, '`mode` must be `keep` or `replace`'],
+        [{ mode: 'replace' }, '`mode` requires a `key`']
+      ];
+
+      for (const [options, message] of cases) {
+        try {
+          await dt.add(1000, {}, options);
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message
+            }
+          );
+        }
+      }
+
+      await dt.close()
+    });
+
+    it('keeps the first task in `keep` mode', async function() {
+      const dt = await createTasksObject();
+
+      await dt.add(1000, { n: 1 }, { key: 'a', mode: 'keep' });
+      await dt.add(2000, { n: 2 }, { key: 'a', mode: 'keep' });
+
+      assert.deepEqual((await getTasksUntil(-1)).map(t => t.data), [{ n: 1 }]);
+
+      await dt.close()
+    });
+
+    it('replaces a pending task and pushes it back', async function() {
+      const dt = await createTasksObject();
+
+      const added = sinon.spy();
+      dt.on('added', added);
+
+      await dt.add(1000, { n: 1 }, { key: 'a', mode: 'replace' });
+
+      const before = new Date().getTime();
+      assert.equal(await dt.add(5000, { n: 2 }, { key: 'a', mode: 'replace', type: 'edit' }), 'a');
+
+      const tasks = await getTasksUntil(-1);
+      assert.equal(tasks.length, 1);
+      assert.equal(tasks[0].id, 'a');
+      assert.equal(tasks[0].type, 'edit');
+      assert.deepEqual(tasks[0].data, { n: 2 });
+      assert.ok(tasks[0].due >= before + 5000);
+
+      assert.ok(added.calledTwice);
+
+      await dt.close()
+    });
+
+    it('fires once after a burst of adds', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      for (let i = 0; i < 5; i++) {
+        await dt.add(30, { n: i }, { key: 'a', mode: 'replace' });
+        await new Promise(r => setTimeout(r, 10));
+      }
+
+      // Still in its quiet period
+      assert.equal(await dt.poll(), 0);
+
+      await new Promise(r => setTimeout(r, 30));
+      assert.equal(await dt.poll(), 1);
+      assert.ok(cb.calledOnceWith({ n: 4 }, 'a'));
+
+      await dt.close()
+    });
+
+    it('queues a new task behind one that is in flight', async function() {
+      let finish;
+      const cb = sinon.stub();
+      cb.onFirstCall().returns(new Promise(r => finish = r));
+
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb,
+        options: { reliable: true }
+      });
+
+      await dt.addAt(new Date(), { n: 1 }, { key: 'a', mode: 'replace' });
+      await dt.poll();
+
+      await dt.add(1000, { n: 2 }, { key: 'a', mode: 'replace' });
+
+      // Finishing the first task leaves the new one alone
+      finish();
+      await new Promise(r => setTimeout(r, 20));
+
+      assert.deepEqual(await getInFlightIds(), []);
+      const tasks = await getTasksUntil(-1);
+      assert.deepEqual(tasks.map(t => [t.id, t.data]), [['a', { n: 2 }]]);
+
+      await dt.close()
+    });
+
+    it('does not retry a task that has been replaced', async function() {
+      let fail;
+      const cb = sinon.stub();
+      cb.onFirstCall().returns(new Promise((resolve, reject) => fail = reject));
+
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb,
+        options: {
+          retry: { maxAttempts: 3, backoff: 'fixed', delayMs: 10 }
+        }
+      });
+
+      await dt.addAt(new Date(), { n: 1 }, { key: 'a', mode: 'replace' });
+      await dt.poll();
+
+      await dt.add(1000, { n: 2 }, { key: 'a', mode: 'replace' });
+
+      fail(new Error('failed'));
+      await new Promise(r => setTimeout(r, 20));
+
+      const tasks = await getTasksUntil(-1);
+      assert.deepEqual(tasks.map(t => [t.data, t.attempts]), [[{ n: 2 }, undefined]]);
+
+      await dt.close()
+    });
+
+  });
+
+  describe('serializers', function() {
+
+    const key = crypto.randomBytes(32);
+
+    it('uses JSON if the serializer is invalid', async function() {
+      const dt = await createTasksObject(() => {}, { serializer: { serialize: () => '' } });
+
+      assert.equal(dt.serializer.serialize({ a: 1 }), '{"a":1}');
+
+      await dt.close()
+    });
+
+    it('serializes task data with the serializer', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb, {
+        serializer: serializers.encrypted({
+          serializer: serializers.richJson(),
+          keys: { v1: key }
+        })
+      });
+
+      const taskId = await dt.addAt(new Date(), { secret: 'hunter2', at: new Date(5) });
+
+      const stored = await getStoredTask(taskId);
+      assert.ok(stored.data.startsWith('enc:v1:'));
+      assert.equal(stored.id, taskId);
+
+      const task = await dt.get(taskId);
+      assert.equal(task.data.secret, 'hunter2');
+      assert.equal(task.data.at.getTime(), 5);
+
+      await dt.update(taskId, { secret: 'swordfish', at: new Date(6) });
+      assert.ok((await getStoredTask(taskId)).data.startsWith('enc:v1:'));
+
+      await dt.poll();
+      assert.ok(cb.calledOnce);
+      assert.equal(cb.firstCall.args[0].secret, 'swordfish');
+      assert.equal(cb.firstCall.args[0].at.getTime(), 6);
+
+      await dt.close()
+    });
+
+    it('dead-letters tasks that can not be deserialized', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb, { serializer: serializers.encrypted({ keys: { v1: key } }) });
+      const other = await createTasksObject(cb, { serializer: serializers.encrypted({ keys: { v2: crypto.randomBytes(32) } }) });
+
+      const deserializeError = sinon.spy();
+      const claimed = sinon.spy();
+      dt.on('deserializeError', deserializeError);
+      dt.on('claimed', claimed);
+
+      const badId = await other.addAt(new Date(), { n: 1 }, { type: 'email' });
+      const goodId = await dt.addAt(new Date(), { n: 2 });
+      const { data: rawData } = await getStoredTask(badId);
+
+      assert.equal(await dt.poll(), 2);
+
+      // The rest of the batch is still processed
+      assert.ok(cb.calledOnceWith({ n: 2 }, goodId));
+      assert.ok(claimed.calledOnce);
+
+      assert.ok(deserializeError.calledOnce);
+      const [error, task] = deserializeError.firstCall.args;
+      assert.equal(error.message, 'Unknown encryption key `v2`');
+      assert.equal(task.id, badId);
+      assert.equal(task.type, 'email');
+      assert.ok(!('data' in task));
+
+      // The stored data is kept as it was, so the task can be requeued once
+      // the key is available
+      const [dead] = await dt.listDeadLetters();
+      assert.equal(dead.id, badId);
+      assert.equal(dead.error, 'Could not deserialize task data: Unknown encryption key `v2`');
+      assert.strictEqual(dead.data, null);
+      assert.equal(dead.deserializeError, 'Unknown encryption key `v2`');
+
+      assert.equal((await other.listDeadLetters())[0].data.n, 1);
+      assert.equal(await other.requeueDeadLetters(), 1);
+      assert.equal((await getStoredTask(badId)).data, rawData);
+
+      await dt.close()
+      await other.close()
+    });
+
+    it('removes tasks that can not be deserialized from flight', async function() {
+      const dt = await createTasksObject(() => {}, { serializer: serializers.json(), reliable: true, deadLetter: false });
+
+      const taskId = await dt.addAt(new Date(), {});
+      await raw.hset(`delayed:${testTaskId}:tasks`, taskId, JSON.stringify({ id: taskId, due: 0, data: '{' }));
+
+      const deserializeError = sinon.spy();
+      dt.on('deserializeError', deserializeError);
+
+      assert.equal(await dt.poll(), 1);
+      assert.ok(deserializeError.calledOnce);
+
+      assert.deepEqual(await getInFlightIds(), []);
+      assert.deepEqual(await getStoredIds(), []);
+      assert.deepEqual(await dt.listDeadLetters(), []);
+
+      await dt.close()
+    });
+
+    it('keeps recurring tasks going when a run can not be deserialized', async function() {
+      const dt = await createTasksObject(() => {}, { serializer: serializers.json() });
+      dt.on('deserializeError', () => {});
+
+      const runId = await dt.addRecurring('job', 50, {});
+      const stored = await getStoredTask(runId);
+      delete stored.next;
+      stored.data = '{';
+      await raw.hset(`delayed:${testTaskId}:tasks`, runId, JSON.stringify(stored));
+
+      await new Promise(r => setTimeout(r, stored.due - new Date().getTime() + 1));
+      assert.equal(await dt.poll(), 1);
+
+      const [next] = await getTasksUntil(-1);
+      assert.notEqual(next.id, runId);
+      assert.ok(next.next);
+
+      await dt.close()
+    });
+
+    it('registers encrypted recurring tasks idempotently', async function() {
+      const dt = await createTasksObject(() => {}, { serializer: serializers.encrypted({ keys: { v1: key } }) });
+
+      const runId = await dt.addRecurring('job', 60000, { secret: 'hunter2' });
+      await new Promise(r => setTimeout(r, 5));
+
+      assert.equal(await dt.addRecurring('job', 60000, { secret: 'hunter2' }), runId);
+      assert.notEqual(await dt.addRecurring('job', 60000, { secret: 'swordfish' }), runId);
+
+      const [registered] = await dt.listRecurring();
+      assert.deepEqual(registered.data, { secret: 'swordfish' });
+
+      await dt.close()
+    });
+
+  });
+
+  describe('priorities', function() {
+
+    it('fails with an invalid priority', async function() {
+      const dt = await createTasksObject();
+
+      for (const priority of ['1', 1.5, NaN, Infinity]) {
+        try {
+          await dt.add(1000, {}, { priority });
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message: '`priority` must be an integer'
+            }
+          );
+        }
+      }
+
+      await dt.close()
+    });
+
+    it('uses a default `priorityWindow` if invalid', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => {},
+        options: { priorityWindow: 0 }
+      });
+
+      assert.strictEqual(dt.priorityWindow, 1000);
+
+      await dt.close()
+    });
+
+    it('only stores priorities that are not the default', async function() {
+      const dt = await createTasksObject();
+
+      await dt.add(1000, {}, { priority: 0 });
+      await dt.add(1000, {}, { priority: -2 });
+
+      assert.deepEqual((await getTasksUntil(-1)).map(t => t.priority), [undefined, -2]);
+
+      await dt.close()
+    });
+
+    it('claims higher priority tasks first', async function() {
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb,
+        options: { batchSize: 2 }
+      });
+
+      const now = new Date().getTime();
+      const low = await dt.addAt(now - 3000, { n: 1 }, { priority: -1 });
+      const normal = await dt.addAt(now - 2000, { n: 2 });
+      const high = await dt.addAt(now - 1000, { n: 3 }, { priority: 5 });
+      const higher = await dt.addAt(now - 500, { n: 4 }, { priority: 10 });
+
+      assert.equal(await dt.poll(), 2);
+      assert.deepEqual(cb.args.map(a => a[1]), [higher, high]);
+
+      assert.equal(await dt.poll(), 2);
+      assert.deepEqual(cb.args.map(a => a[1]), [higher, high, normal, low]);
+
+      await dt.close()
+    });
+
+    it('dispatches higher priority tasks first without a batch size', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const now = new Date().getTime();
+      const a = await dt.addAt(now - 3000, { n: 1 });
+      const b = await dt.addAt(now - 2000, { n: 2 }, { priority: 1 });
+      const c = await dt.addAt(now - 1000, { n: 3 }, { priority: 1 });
+
+      // Not due yet, so not claimed whatever its priority
+      await dt.add(10000, { n: 4 }, { priority: 100 });
+
+      assert.equal(await dt.poll(), 3);
+
+      // Tasks with the same priority are claimed earliest due first
+      assert.deepEqual(cb.args.map(a => a[1]), [b, c, a]);
+
+      await dt.close()
+    });
+
+    it('only considers the earliest due tasks in the window', async function() {
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb,
+        options: { batchSize: 1, priorityWindow: 2 }
+      });
+
+      const now = new Date().getTime();
+      const a = await dt.addAt(now - 3000, { n: 1 });
+      const b = await dt.addAt(now - 2000, { n: 2 }, { priority: 1 });
+      const c = await dt.addAt(now - 1000, { n: 3 }, { priority: 2 });
+
+      await dt.poll();
+      await dt.poll();
+      await dt.poll();
+
+      assert.deepEqual(cb.args.map(a => a[1]), [b, c, a]);
+
+      await dt.close()
+    });
+
+    it('keeps the priority of retried tasks', async function() {
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: () => { throw new Error('Failed') },
+        options: { retry: { maxAttempts: 2, delayMs: 10000 } }
+      });
+
+      await dt.addAt(new Date(), {}, { priority: 3 });
+      await dt.poll();
+
+      const [task] = await getTasksUntil(-1);
+      assert.equal(task.attempts, 1);
+      assert.equal(task.priority, 3);
+
+      await dt.close()
+    });
+
+    it('gives runs of a recurring task its priority', async function() {
+      const dt = await createTasksObject();
+
+      await dt.addRecurring('report', 60000, { n: 1 }, { priority: 2 });
+
+      const [run] = await getTasksUntil(-1);
+      assert.equal(run.priority, 2);
+
+      const [schedule] = await dt.listRecurring();
+      assert.equal(schedule.priority, 2);
+
+      // Changing the priority replaces the pending run
+      await dt.addRecurring('report', 60000, { n: 1 }, { priority: 4 });
+      assert.deepEqual((await getTasksUntil(-1)).map(t => t.priority), [4]);
+
+      await dt.close()
+    });
+
+  });
+
+  describe('expiry', function() {
+
+    it('fails with an invalid `maxLatenessMs` or `expiresAt`', async function() {
+      const dt = await createTasksObject();
+
+      for (const [options, message] of [
+        [{ maxLatenessMs: '1000' }, '`maxLatenessMs` must be a non-negative number'],
+        [{ maxLatenessMs: -1 }, '`maxLatenessMs` must be a non-negative number'],
+        [{ maxLatenessMs: NaN }, '`maxLatenessMs` must be a non-negative number'],
+        [{ expiresAt: 'tomorrow' }, '`expiresAt` must be a valid Date or epoch milliseconds'],
+        [{ expiresAt: new Date('invalid') }, '`expiresAt` must be a valid Date or epoch milliseconds']
+      ]) {
+        try {
+          await dt.add(1000, {}, options);
+          assert.fail('The expected error was not thrown');
+
+        } catch (e) {
+          assert.throws(
+            () => {throw e},
+            {
+              name: 'TypeError',
+              message
+            }
+          );
+        }
+      }
+
+      await dt.close()
+    });
+
+    it('only stores expiry options that are given', async function() {
+      const dt = await createTasksObject();
+      const expiresAt = new Date().getTime() + 60000;
+
+      const plain = await dt.add(1000, {});
+      const late = await dt.add(1000, {}, { maxLatenessMs: 500 });
+      const expiring = await dt.add(1000, {}, { expiresAt: new Date(expiresAt) });
+
+      assert.equal((await getStoredTask(plain)).maxLatenessMs, undefined);
+      assert.equal((await getStoredTask(plain)).expiresAt, undefined);
+      assert.equal((await getStoredTask(late)).maxLatenessMs, 500);
+      assert.equal((await getStoredTask(expiring)).expiresAt, expiresAt);
+
+      await dt.close()
+    });
+
+    it('expires tasks that are too late instead of handling them', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const expired = sinon.spy();
+      const claimed = sinon.spy();
+      dt.on('expired', expired);
+      dt.on('claimed', claimed);
+
+      const now = new Date().getTime();
+      const tooLate = await dt.addAt(now - 60000, { n: 1 }, { maxLatenessMs: 1000 });
+      const onTime = await dt.addAt(now - 60000, { n: 2 }, { maxLatenessMs: 120000 });
+      const pastExpiry = await dt.addAt(now - 1000, { n: 3 }, { expiresAt: now - 500 });
+      const beforeExpiry = await dt.addAt(now - 1000, { n: 4 }, { expiresAt: now + 60000 });
+
+      assert.equal(await dt.poll(), 4);
+      await new Promise(r => setTimeout(r, 20));
+
+      assert.deepEqual(cb.args.map(a => a[1]).sort(), [onTime, beforeExpiry].sort());
+      assert.deepEqual(claimed.args.map(a => a[0].id).sort(), [tooLate, onTime, beforeExpiry, pastExpiry].sort());
+      assert.deepEqual(expired.args.map(a => a[0].id).sort(), [tooLate, pastExpiry].sort());
+      assert.deepEqual(expired.args.find(a => a[0].id === tooLate)[0].data, { n: 1 });
+
+      assert.equal(await dt.count(), 0);
+      assert.equal(await dt.get(tooLate), null);
+
+      await dt.close()
+    });
+
+    it('acknowledges expired tasks in reliable mode', async function() {
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        redis: testRedis,
+        id: testTaskId,
+        callback: cb,
+        options: { reliable: true }
+      });
+
+      const expired = sinon.spy();
+      dt.on('expired', expired);
+
+      const taskId = await dt.addAt(new Date().getTime() - 5000, {}, { maxLatenessMs: 1000 });
+
+      assert.equal(await dt.poll(), 1);
+
+      assert.ok(expired.calledOnce);
+      assert.equal(cb.callCount, 0);
+      assert.equal(await dt.get(taskId), null);
+      assert.deepEqual(await getInFlightIds(), []);
+
+      await dt.close()
+    });
+
+    it('measures lateness from when a task is rescheduled to', async function() {
+      const cb = sinon.stub();
+      const dt = await createTasksObject(cb);
+
+      const expired = sinon.spy();
+      dt.on('expired', expired);
+
+      const taskId = await dt.addAt(new Date().getTime() - 5000, {}, { maxLatenessMs: 1000 });
+      await dt.reschedule(taskId, 20);
+      await new Promise(r => setTimeout(r, 40));
+
+      assert.equal(await dt.poll(), 1);
+      assert.ok(cb.calledOnce);
+      assert.equal(expired.callCount, 0);
+
+      await dt.close()
+    });
+
+  });
+
+  describe('adaptive polling', function() {
+
+    it('uses default adaptive polling options', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: { adaptivePolling: 'yes', maxPollIntervalMs: -1 }
+      });
+
+      assert.strictEqual(dt.adaptivePolling, false);
+      assert.strictEqual(dt.maxPollIntervalMs, 30000);
+
+      await dt.close();
+    });
+
+    it('sleeps until the next task is due', async function() {
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: cb,
+        options: {
+          adaptivePolling: true,
+          pollIntervalMs: 60000,
+          maxPollIntervalMs: 60000
+        }
+      });
+
+      const pollSpy = sinon.spy(dt, 'poll');
+
+      await dt.add(200, {});
+      dt.start();
+
+      await new Promise(r => setTimeout(r, 100));
+      assert.equal(cb.callCount, 0);
+
+      await new Promise(r => setTimeout(r, 250));
+      assert.equal(cb.callCount, 1);
+
+      // Once when started, then once when the task was due
+      assert.equal(pollSpy.callCount, 2);
+
+      await dt.close();
+    });
+
+    it('wakes up when another worker adds a task due sooner', async function() {
+      const cb = sinon.stub();
+      const worker = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: cb,
+        options: {
+          adaptivePolling: true,
+          pollIntervalMs: 60000,
+          maxPollIntervalMs: 60000
+        }
+      });
+
+      const producer = await createTasksObject();
+
+      await producer.add(60000, { n: 1 });
+      worker.start();
+
+      // Give the worker time to subscribe and go to sleep
+      await new Promise(r => setTimeout(r, 100));
+
+      // Tasks due later than the next poll don't change anything
+      await producer.add(120000, { n: 2 });
+      await producer.add(50, { n: 3 });
+
+      await new Promise(r => setTimeout(r, 200));
+      assert.ok(cb.calledOnceWith({ n: 3 }));
+
+      await worker.close();
+      await producer.close();
+    });
+
+    it('polls at least every `maxPollIntervalMs`', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: {
+          adaptivePolling: true,
+          maxPollIntervalMs: 50
+        }
+      });
+
+      const pollSpy = sinon.spy(dt, 'poll');
+
+      dt.start();
+      await new Promise(r => setTimeout(r, 400));
+      await dt.stop();
+
+      assert.ok(pollSpy.callCount >= 3);
+      assert.ok(pollSpy.callCount <= 9);
+
+      await dt.close();
+    });
+
+    it('waits `pollIntervalMs` for due tasks it had no room for', async function() {
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: cb,
+        options: {
+          adaptivePolling: true,
+          batchSize: 1,
+          pollIntervalMs: 200
+        }
+      });
+
+      for (let i = 0; i < 3; i++) {
+        await dt.addAt(new Date(), { n: i });
+      }
+
+      dt.start();
+
+      await new Promise(r => setTimeout(r, 100));
+      assert.equal(cb.callCount, 1);
+
+      await new Promise(r => setTimeout(r, 600));
+      assert.equal(cb.callCount, 3);
+
+      await dt.close();
+    });
+
+    it('stops listening for wakeups once stopped', async function() {
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: testRedis,
+        callback: () => {},
+        options: {
+          adaptivePolling: true,
+          maxPollIntervalMs: 60000
+        }
+      });
+
+      const pollSpy = sinon.spy(dt, 'poll');
+
+      dt.start();
+      await new Promise(r => setTimeout(r, 50));
+      await dt.stop();
+
+      await dt.add(10, {});
+      await new Promise(r => setTimeout(r, 50));
+
+      assert.equal(pollSpy.callCount, 1);
+      assert.strictEqual(dt.pollTimeoutId, null);
+
+      await dt.close();
+    });
+
+    it('wakes up an ioredis client', async function() {
+      requireServer(this);
+
+      const client = new IORedis();
+      const cb = sinon.stub();
+      const dt = new DelayedTasks({
+        id: testTaskId,
+        redis: client,
+        callback: cb,
+        options: {
+          adaptivePolling: true,
+          maxPollIntervalMs: 60000
+        }
+      });
+
+      await dt.connect();
+      dt.start();
+
+      // Give the worker time to subscribe and go to sleep
+      await new Promise(r => setTimeout(r, 500));
+
+      await dt.add(10, { foo: 'bar' });
+      await new Promise(r => setTimeout(r, 300));
+
+      assert.ok(cb.calledOnceWith({ foo: 'bar' }));
+
+      await dt.close();
+      await client.quit();
+    });
+
+  });
+
+  describe('manager', function() {
+
+    const managedIds = ['manager-a', 'manager-b'];
+
+    afterEach(async function() {
+      const keys = [].concat(...managedIds.map(id => [`delayed:${id}`, `delayed:${id}:tasks`, `delayed:{${id}}`, `delayed:{${id}}:tasks`]));
+
+      await raw.del(...keys);
+    });
+
+    it('fails with invalid settings', function() {
+      try {
+        new DelayedTasksManager();
+        assert.fail('Should have thrown');
+      } catch (e) {
+        assert.throws(() => { throw e }, {
+          name: 'TypeError',
+          message: 'No constructor settings specified'
+        });
+      }
+
+      try {
+        new DelayedTasksManager({ redis: 'localhost' });
+        assert.fail('Should have thrown');
+      } catch (e) {
+        assert.throws(() => { throw e }, {
+          name: 'TypeError',
+          message: 'Invalid redis connection options'
+        });
+      }
+    });
+
+    it('creates and looks up queues by ID', async function() {
+      const manager = new DelayedTasksManager({
+        redis: testRedis,
+        options: { pollIntervalMs: -1 },
+        defaults: { batchSize: 10, reliable: true }
+      });
+
+      assert.equal(manager.pollIntervalMs, 1000);
+
+      const cb = sinon.stub();
+      const a = manager.queue('manager-a', { callback: cb, options: { batchSize: 5 } });
+
+      assert.ok(a instanceof DelayedTasks);
+      assert.equal(a.id, 'manager-a');
+      assert.equal(a.callback, cb);
+      assert.equal(a.batchSize, 5);
+      assert.equal(a.reliable, true);
+      assert.equal(a.redisClient, manager.redisClient);
+
+      assert.equal(manager.queue('manager-a'), a);
+      assert.equal(manager.queue('manager-a', { options: { batchSize: 1 } }).batchSize, 5);
+      assert.deepEqual([...manager.queues.keys()], ['manager-a']);
+
+      await manager.close();
+    });
+
+    it('polls every queue in one round trip', async function() {
+      const manager = new DelayedTasksManager({ redis: testRedis });
+
+      const cbA = sinon.stub();
+      const cbB = sinon.stub();
+      const a = manager.queue('manager-a', { callback: cbA });
+      const b = manager.queue('manager-b', { callback: cbB });
+
+      const taskA = await a.addAt(new Date(), { foo: 'a' });
+      const taskB = await b.addAt(new Date(), { foo: 'b' });
+      await b.add(10000, { foo: 'later' });
+
+      const evalSpy = sinon.spy(manager.redisAdapter, 'eval');
+
+      assert.deepEqual(await manager.poll(), { 'manager-a': 1, 'manager-b': 1 });
+      assert.ok(evalSpy.calledOnce);
+      assert.equal(evalSpy.firstCall.args[0], scripts.claimMany);
+
+      assert.ok(cbA.calledOnceWith({ foo: 'a' }, taskA));
+      assert.ok(cbB.calledOnceWith({ foo: 'b' }, taskB));
+      assert.equal(await b.count(), 1);
+
+      await manager.close();
+    });
+
+    it('claims for hash-tagged queues separately', async function() {
+      const manager = new DelayedTasksManager({
+        redis: testRedis,
+        defaults: { hashTag: true }
+      });
+
+      const cb = sinon.stub();
+      const a = manager.queue('manager-a', { callback: cb });
+      const b = manager.queue('manager-b', { callback: cb });
+
+      await a.addAt(new Date(), {});
+      await b.addAt(new Date(), {});
+
+      const evalSpy = sinon.spy(manager.redisAdapter, 'eval');
+
+      assert.deepEqual(await manager.poll(), { 'manager-a': 1, 'manager-b': 1 });
+      assert.ok(evalSpy.calledTwice);
+      assert.deepEqual(evalSpy.args.map(args => args[1][0]), ['delayed:{manager-a}', 'delayed:{manager-b}']);
+      assert.ok(cb.calledTwice);
+
+      await manager.close();
+    });
+
+    it('joins a queue poll that is already running', async function() {
+      const manager = new DelayedTasksManager({ redis: testRedis });
+
+      const cb = sinon.stub();
+      const a = manager.queue('manager-a', { callback: cb });
+      manager.queue('manager-b');
+
+      await a.addAt(new Date(), {});
+
+      const evalSpy = sinon.spy(manager.redisAdapter, 'eval');
+
+      const [claimed, polled] = await Promise.all([a.poll(), manager.poll()]);
+
+      assert.equal(claimed, 1);
+      assert.deepEqual(polled, { 'manager-a': 1, 'manager-b': 0 });
+      assert.ok(cb.calledOnce);
+
+      // Only `manager-b` was claimed for by the manager
+      assert.deepEqual(evalSpy.firstCall.args[1].filter(key => key.startsWith('delayed:manager-a')), []);
+
+      await manager.close();
+    });
+
+    it('emits errors on each queue', async function() {
+      const manager = new DelayedTasksManager({ redis: testRedis });
+
+      const a = manager.queue('manager-a');
+      const b = manager.queue('manager-b');
+      const errorA = sinon.spy();
+      const errorB = sinon.spy();
+      a.on('pollError', errorA);
+      b.on('pollError', errorB);
+
+      const error = new Error('Failed');
+      sinon.stub(manager.redisAdapter, 'eval').rejects(error);
+
+      assert.deepEqual(await manager.poll(), { 'manager-a': 0, 'manager-b': 0 });
+      assert.ok(errorA.calledOnceWith(error));
+      assert.ok(errorB.calledOnceWith(error));
+
+      manager.redisAdapter.eval.restore();
+      await manager.close();
+    });
+
+    it('starts, stops and closes queues together', async function() {
+      requireServer(this);
+
+      const manager = new DelayedTasksManager({
+        redis: {},
+        options: { pollIntervalMs: 50 }
+      });
+
+      assert.equal(manager.start(), false);
+      assert.equal(manager.state, 'stopped');
+
+      await manager.connect();
+
+      const cb = sinon.stub();
+      const a = manager.queue('manager-a', { callback: cb });
+      const b = manager.queue('manager-b', { callback: cb });
+
+      const pollSpy = sinon.spy(manager, 'poll');
+
+      assert.ok(manager.start());
+      assert.ok(manager.start());
+      assert.equal(manager.state, 'polling');
+      assert.ok(manager.isPolling);
+
+      await a.add(10, { foo: 'a' });
+      await b.add(10, { foo: 'b' });
+      await new Promise(r => setTimeout(r, 200));
+
+      assert.ok(cb.calledTwice);
+      assert.ok(pollSpy.callCount >= 2 && pollSpy.callCount <= 5);
+
+      await manager.stop();
+      assert.equal(manager.state, 'stopped');
+
+      assert.ok(await manager.drain());
+      assert.equal(manager.state, 'draining');
+      assert.equal(a.state, 'draining');
+      assert.deepEqual(await manager.poll(), {});
+
+      assert.ok(manager.start());
+      assert.equal(a.state, 'stopped');
+
+      await manager.close();
+      assert.equal(manager.state, 'closed');
+      assert.equal(a.state, 'closed');
+      assert.equal(b.state, 'closed');
+      assert.equal(manager.redisClient, null);
+    });
+
+    it('removes a queue', async function() {
+      const manager = new DelayedTasksManager({ redis: testRedis });
+
+      const a = manager.queue('manager-a');
+      const closed = sinon.spy();
+      a.on('closed', closed);
+
+      assert.ok(await manager.remove('manager-a'));
+      assert.equal(await manager.remove('manager-a'), false);
+      assert.ok(closed.calledOnce);
+      assert.equal(manager.queues.size, 0);
+
+      await manager.close();
+    });
 
-    await dt.close()
   });
 
 });